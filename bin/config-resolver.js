@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+
+process.exitCode = require('../dist/cli.js')(process.argv.slice(2));
@@ -0,0 +1,202 @@
+import crypto              from 'crypto';
+import fs                  from 'fs';
+
+/**
+ * Caches loaded config data keyed by resolved file path. An entry is reused while the file is unchanged; with the
+ * `mtime` validation mode a file is unchanged while its modification time and size are the same and with the `hash`
+ * validation mode while the SHA-1 hash of its contents is the same. Copies of cached config data are returned, so that
+ * cached data is never modified by resolution.
+ *
+ * Instances are created by `ConfigResolver` when `cache` is set in `ConfigResolverData`.
+ */
+export default class ConfigCache
+{
+   /**
+    * Creates an empty cache.
+    *
+    * @param {string}   [validate='mtime'] - The validation mode; `mtime` or `hash`.
+    */
+   constructor(validate = 'mtime')
+   {
+      if (validate !== 'mtime' && validate !== 'hash') { throw new TypeError(`'validate' is not 'mtime' or 'hash'.`); }
+
+      /**
+       * The validation mode.
+       * @type {string}
+       */
+      this.validate = validate;
+
+      /**
+       * Cache entries keyed by resolved file path.
+       * @type {Map<string, {signature: string, config: *}>}
+       * @private
+       */
+      this._entries = new Map();
+
+      /**
+       * @type {number}
+       * @private
+       */
+      this._hits = 0;
+
+      /**
+       * @type {number}
+       * @private
+       */
+      this._misses = 0;
+   }
+
+   /**
+    * Removes all entries and resets statistics.
+    */
+   clear()
+   {
+      this._entries.clear();
+      this._hits = 0;
+      this._misses = 0;
+   }
+
+   /**
+    * Returns cached config data of a file if unchanged otherwise loads, caches and returns the config data. In the
+    * `hash` validation mode the file contents are read to compute the hash and passed to the loader.
+    *
+    * @param {string}    filePath - The resolved file path.
+    *
+    * @param {function}  loader - Loads config data on a cache miss; receives any file contents.
+    *
+    * @returns {*} A copy of the config data.
+    */
+   load(filePath, loader)
+   {
+      let data;
+
+      if (this.validate === 'hash') { data = fs.readFileSync(filePath, 'utf8'); }
+
+      const signature = this.validate === 'hash' ? _hash(data) : _mtime(fs.statSync(filePath));
+
+      const entry = this._entries.get(filePath);
+
+      if (entry && entry.signature === signature)
+      {
+         this._hits++;
+         return _clone(entry.config);
+      }
+
+      this._misses++;
+
+      const config = loader(data);
+
+      this._entries.set(filePath, { signature, config });
+
+      return _clone(config);
+   }
+
+   /**
+    * Asynchronously returns cached config data of a file if unchanged otherwise loads, caches and returns the config
+    * data. In the `hash` validation mode the file contents are read to compute the hash and passed to the loader.
+    *
+    * @param {string}    filePath - The resolved file path.
+    *
+    * @param {function}  loader - Loads config data on a cache miss returning the data or a Promise; receives any
+    *                             file contents.
+    *
+    * @returns {Promise<*>} A copy of the config data.
+    */
+   loadAsync(filePath, loader)
+   {
+      return new Promise((resolve, reject) =>
+      {
+         if (this.validate === 'hash')
+         {
+            fs.readFile(filePath, 'utf8', (err, data) => err ? reject(err) : resolve({ data, signature: _hash(data) }));
+         }
+         else
+         {
+            fs.stat(filePath, (err, stats) => err ? reject(err) : resolve({ signature: _mtime(stats) }));
+         }
+      }).then(({ data, signature }) =>
+      {
+         const entry = this._entries.get(filePath);
+
+         if (entry && entry.signature === signature)
+         {
+            this._hits++;
+            return _clone(entry.config);
+         }
+
+         this._misses++;
+
+         return Promise.resolve(loader(data)).then((config) =>
+         {
+            this._entries.set(filePath, { signature, config });
+
+            return _clone(config);
+         });
+      });
+   }
+
+   /**
+    * Returns the cache statistics.
+    *
+    * @returns {{hits: number, misses: number, size: number}} The number of cache hits, misses and entries.
+    */
+   get stats()
+   {
+      return { hits: this._hits, misses: this._misses, size: this._entries.size };
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Copies plain objects and arrays of config data; any other values such as functions are copied by reference.
+ *
+ * @param {*}  value - Config data.
+ *
+ * @returns {*} The copy.
+ * @ignore
+ * @private
+ */
+function _clone(value)
+{
+   if (Array.isArray(value)) { return value.map(_clone); }
+
+   if (typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype)
+   {
+      const result = {};
+
+      for (const key of Object.keys(value)) { result[key] = _clone(value[key]); }
+
+      return result;
+   }
+
+   return value;
+}
+
+/**
+ * Returns the SHA-1 hash of file contents.
+ *
+ * @param {string}   data - The file contents.
+ *
+ * @returns {string} The hex encoded hash.
+ * @ignore
+ * @private
+ */
+function _hash(data)
+{
+   return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Returns the modification time and size of a file as a signature.
+ *
+ * @param {fs.Stats} stats - The file stats.
+ *
+ * @returns {string} The signature.
+ * @ignore
+ * @private
+ */
+function _mtime(stats)
+{
+   return `${stats.mtimeMs}:${stats.size}`;
+}
@@ -0,0 +1,207 @@
+import ConfigResolverError from './ConfigResolverError.js';
+
+/**
+ * Upgrades configs of older config format versions to the current version. The version of a config is the value of
+ * `versionKey`; configs without it are of `defaultVersion`. Each migration upgrades a config to its `version` and
+ * migrations are applied in order from the first with a version greater than the config version. `versionKey` is
+ * removed from the migrated config as it no longer describes the config; `ConfigResolver.migrate` sets it to the
+ * current version.
+ *
+ * Migrations are functions receiving a copy of the config and `{ from, to, source }` returning the upgraded config; a
+ * migration may also modify the copy and return nothing. Migrations are given as `{ version, migrate, deprecation }`
+ * entries or as functions upgrading to consecutive versions ending with the current version.
+ *
+ * Instances are created by `ConfigResolver` when `migrations` is set in `ConfigResolverData`.
+ */
+export default class ConfigMigrator
+{
+   /**
+    * Creates a config migrator.
+    *
+    * @param {MigrationData}   migrations - The migration data.
+    */
+   constructor({ versionKey = 'version', currentVersion = void 0, defaultVersion = currentVersion, steps = [] } = {})
+   {
+      if (typeof versionKey !== 'string' || versionKey === '')
+      {
+         throw new TypeError(`'migrations.versionKey' is not a non-empty 'string'.`);
+      }
+
+      if (!Number.isInteger(currentVersion))
+      {
+         throw new TypeError(`'migrations.currentVersion' is not an 'integer'.`);
+      }
+
+      if (!Number.isInteger(defaultVersion) || defaultVersion > currentVersion)
+      {
+         throw new TypeError(`'migrations.defaultVersion' is not an 'integer' up to the current version.`);
+      }
+
+      if (!Array.isArray(steps)) { throw new TypeError(`'migrations.steps' is not an 'array'.`); }
+
+      /**
+       * @type {string}
+       */
+      this.versionKey = versionKey;
+
+      /**
+       * @type {number}
+       */
+      this.currentVersion = currentVersion;
+
+      /**
+       * @type {number}
+       */
+      this.defaultVersion = defaultVersion;
+
+      /**
+       * The migrations in version order.
+       * @type {Array<ConfigMigration>}
+       */
+      this.steps = steps.map((step, index) =>
+      {
+         // Functions upgrade to consecutive versions ending with the current version.
+         if (typeof step === 'function')
+         {
+            return { version: currentVersion - (steps.length - 1 - index), migrate: step, deprecation: void 0 };
+         }
+
+         if (typeof step !== 'object' || step === null || !Number.isInteger(step.version) ||
+          typeof step.migrate !== 'function')
+         {
+            throw new TypeError(`'migrations.steps[${index}]' is not a 'function' or '{ version, migrate }' entry.`);
+         }
+
+         if (typeof step.deprecation !== 'undefined' && typeof step.deprecation !== 'string')
+         {
+            throw new TypeError(`'migrations.steps[${index}].deprecation' is not a 'string'.`);
+         }
+
+         return { version: step.version, migrate: step.migrate, deprecation: step.deprecation };
+      });
+
+      this.steps.forEach((step, index) =>
+      {
+         if (step.version > currentVersion || (index > 0 && step.version <= this.steps[index - 1].version))
+         {
+            throw new TypeError(`'migrations.steps[${index}].version' is not ascending up to 'currentVersion'.`);
+         }
+      });
+   }
+
+   /**
+    * Returns the version of a config.
+    *
+    * @param {object}   config - A config object.
+    *
+    * @returns {*} The value of `versionKey` or the default version.
+    */
+   getVersion(config)
+   {
+      const version = config[this.versionKey];
+
+      return typeof version === 'undefined' ? this.defaultVersion : version;
+   }
+
+   /**
+    * Migrates a config to the current version. The given config is not modified; a copy is migrated.
+    *
+    * @param {object}   config - A config object.
+    *
+    * @param {string}   [source='config'] - The config file path, module name or config name included in any error.
+    *
+    * @returns {{config: object, version: number, deprecations: Array<string>}} The config or the migrated copy, the
+    *                                                                          original version and the deprecation
+    *                                                                          notices of the applied migrations.
+    * @throws {ConfigResolverError} A `MIGRATION_FAILED` error if the version is invalid or newer than the current
+    *                               version or a migration fails.
+    */
+   migrate(config, source = 'config')
+   {
+      if (typeof config !== 'object' || config === null || Array.isArray(config))
+      {
+         return { config, version: this.currentVersion, deprecations: [] };
+      }
+
+      const version = this.getVersion(config);
+
+      if (!Number.isInteger(version))
+      {
+         throw new ConfigResolverError('MIGRATION_FAILED', `'${this.versionKey}' of '${source}' is not an 'integer'.`);
+      }
+
+      if (version > this.currentVersion)
+      {
+         throw new ConfigResolverError('MIGRATION_FAILED',
+          `'${source}' has version ${version} which is newer than the current version ${this.currentVersion}.`);
+      }
+
+      if (version === this.currentVersion) { return { config, version, deprecations: [] }; }
+
+      const deprecations = [];
+
+      let from = version;
+
+      config = _clone(config);
+
+      for (const step of this.steps)
+      {
+         if (step.version <= version) { continue; }
+
+         let migrated;
+
+         try
+         {
+            migrated = step.migrate(config, { from, to: step.version, source });
+         }
+         catch (err)
+         {
+            throw new ConfigResolverError('MIGRATION_FAILED', `Migrating '${source}' from version ${from} to ${
+             step.version} failed: ${err.message}`, { cause: err });
+         }
+
+         if (typeof migrated !== 'undefined') { config = migrated; }
+
+         if (typeof config !== 'object' || config === null)
+         {
+            throw new ConfigResolverError('MIGRATION_FAILED', `Migrating '${source}' from version ${from} to ${
+             step.version} did not return a config object.`);
+         }
+
+         if (step.deprecation) { deprecations.push(step.deprecation); }
+
+         from = step.version;
+      }
+
+      delete config[this.versionKey];
+
+      return { config, version, deprecations };
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Copies plain objects and arrays of config data; any other values such as functions are copied by reference.
+ *
+ * @param {*}  value - Config data.
+ *
+ * @returns {*} The copy.
+ * @ignore
+ * @private
+ */
+function _clone(value)
+{
+   if (Array.isArray(value)) { return value.map(_clone); }
+
+   if (typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype)
+   {
+      const result = {};
+
+      for (const key of Object.keys(value)) { result[key] = _clone(value[key]); }
+
+      return result;
+   }
+
+   return value;
+}
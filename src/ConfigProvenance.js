@@ -0,0 +1,314 @@
+/**
+ * Provides the provenance of a resolved config; a map of each key path of the resolved config to the config file or
+ * module that supplied the final value and any config files it overrode.
+ *
+ * Key paths are dotted accessors with array elements indexed by position; IE `server.hosts[0]`. `plugins` entries are
+ * keyed by plugin name; IE `plugins[name=my-plugin]`. Values not supplied by any config are attributed to
+ * `defaultValues`.
+ */
+export default class ConfigProvenance
+{
+   /**
+    * Builds the provenance for a resolved config.
+    *
+    * @param {object}   config - The resolved config.
+    *
+    * @param {Array<{source: string, config: object}>} layers - The unmerged config data of each config loaded in
+    *                                                           precedence order from lowest to highest.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {Array<string>}  [options.upgradeMergeList=[]] - Keys merged as arrays without duplicate elements.
+    */
+   constructor(config, layers, { upgradeMergeList = [] } = {})
+   {
+      if (typeof config !== 'object') { throw new TypeError(`'config' is not an 'object'.`); }
+      if (!Array.isArray(layers)) { throw new TypeError(`'layers' is not an 'array'.`); }
+
+      /**
+       * Stores the provenance entry for each key path.
+       * @type {Map<string, ProvenanceEntry>}
+       * @private
+       */
+      this._entries = new Map();
+
+      _traverse(config, [], void 0, (segments, value) =>
+      {
+         this._entries.set(_keyPath(segments), _provenanceEntry(segments, value, layers, upgradeMergeList));
+      });
+   }
+
+   /**
+    * Returns an iterator of key path / provenance entry pairs.
+    *
+    * @returns {Iterator<Array<string|ProvenanceEntry>>}
+    */
+   entries()
+   {
+      return this._entries.entries();
+   }
+
+   /**
+    * Returns a human readable description of where the value of a key path came from. If the key path refers to an
+    * object or array then all key paths it contains are described.
+    *
+    * @param {string}   keyPath - A key path; IE `server.port`.
+    *
+    * @returns {string} The description.
+    */
+   explain(keyPath)
+   {
+      if (typeof keyPath !== 'string') { throw new TypeError(`'keyPath' is not a 'string'.`); }
+
+      const lines = [];
+
+      for (const [entryPath, entry] of this._entries)
+      {
+         if (entryPath !== keyPath && !entryPath.startsWith(`${keyPath}.`) && !entryPath.startsWith(`${keyPath}[`))
+         {
+            continue;
+         }
+
+         lines.push(`${entryPath}: ${JSON.stringify(entry.value)}`);
+         lines.push(`   set by: ${entry.source}`);
+
+         for (const source of entry.overrides) { lines.push(`   overrides: ${source}`); }
+      }
+
+      return lines.length > 0 ? lines.join('\n') : `${keyPath}: not found`;
+   }
+
+   /**
+    * Returns the provenance entry for a key path.
+    *
+    * @param {string}   keyPath - A key path; IE `server.port`.
+    *
+    * @returns {ProvenanceEntry|undefined} The provenance entry.
+    */
+   get(keyPath)
+   {
+      return this._entries.get(keyPath);
+   }
+
+   /**
+    * Returns whether there is a provenance entry for the given key path.
+    *
+    * @param {string}   keyPath - A key path; IE `server.port`.
+    *
+    * @returns {boolean} True if an entry exists.
+    */
+   has(keyPath)
+   {
+      return this._entries.has(keyPath);
+   }
+
+   /**
+    * Returns an iterator of all key paths.
+    *
+    * @returns {Iterator<string>}
+    */
+   keys()
+   {
+      return this._entries.keys();
+   }
+
+   /**
+    * Returns the provenance as a plain object of key path to provenance entry.
+    *
+    * @returns {object<string, ProvenanceEntry>}
+    */
+   toJSON()
+   {
+      const result = {};
+
+      for (const [keyPath, entry] of this._entries) { result[keyPath] = entry; }
+
+      return result;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Accesses the value of the given key path segments in an unmerged config.
+ *
+ * @param {object}   config - An unmerged config.
+ *
+ * @param {object[]} segments - Key path segments.
+ *
+ * @returns {{found: boolean, value: *}} Whether the key path exists in the config and the value.
+ * @ignore
+ * @private
+ */
+function _access(config, segments)
+{
+   let value = config;
+
+   for (const segment of segments)
+   {
+      if (typeof value !== 'object' || value === null) { return { found: false }; }
+
+      if (typeof segment.name === 'string')
+      {
+         value = Array.isArray(value) ? value.find((entry) => entry && entry.name === segment.name) : void 0;
+      }
+      else if (typeof segment.index === 'number')
+      {
+         value = Array.isArray(value) ? value[segment.index] : void 0;
+      }
+      else
+      {
+         value = !Array.isArray(value) && value.hasOwnProperty(segment.key) ? value[segment.key] : void 0;
+      }
+
+      if (typeof value === 'undefined') { return { found: false }; }
+   }
+
+   return { found: true, value };
+}
+
+/**
+ * Returns the key path string for the given key path segments.
+ *
+ * @param {object[]} segments - Key path segments.
+ *
+ * @returns {string} The key path.
+ * @ignore
+ * @private
+ */
+function _keyPath(segments)
+{
+   return segments.reduce((keyPath, segment) =>
+   {
+      if (typeof segment.name === 'string') { return `${keyPath}[name=${segment.name}]`; }
+      if (typeof segment.index === 'number') { return `${keyPath}[${segment.index}]`; }
+
+      return keyPath === '' ? segment.key : `${keyPath}.${segment.key}`;
+   }, '');
+}
+
+/**
+ * Determines the provenance entry of a resolved value. The config with the highest precedence setting the resolved
+ * value is the source and any lower precedence configs setting the key path are overridden. Elements of arrays
+ * merged without duplicates (`upgradeMergeList`) are matched by value.
+ *
+ * @param {object[]} segments - Key path segments.
+ *
+ * @param {*}        value - The resolved value.
+ *
+ * @param {Array<{source: string, config: object}>} layers - The unmerged config data in precedence order.
+ *
+ * @param {Array<string>}  upgradeMergeList - Keys merged as arrays without duplicate elements.
+ *
+ * @returns {ProvenanceEntry} The provenance entry.
+ * @ignore
+ * @private
+ */
+function _provenanceEntry(segments, value, layers, upgradeMergeList)
+{
+   const last = segments[segments.length - 1];
+   const parent = segments[segments.length - 2];
+
+   const union = typeof last.index === 'number' && parent && upgradeMergeList.indexOf(parent.key) >= 0;
+
+   const valueJSON = JSON.stringify(value);
+
+   const defining = [];
+
+   let source;
+
+   for (let cntr = layers.length; --cntr >= 0;)
+   {
+      let equal, found;
+
+      if (union)
+      {
+         const result = _access(layers[cntr].config, segments.slice(0, -1));
+
+         const values = Array.isArray(result.value) ? result.value : [result.value];
+
+         found = equal = result.found && values.some((entry) => JSON.stringify(entry) === valueJSON);
+      }
+      else
+      {
+         const result = _access(layers[cntr].config, segments);
+
+         found = result.found;
+         equal = found && JSON.stringify(result.value) === valueJSON;
+      }
+
+      if (!found) { continue; }
+
+      if (typeof source === 'undefined' && equal)
+      {
+         source = layers[cntr].source;
+      }
+      else
+      {
+         defining.push(layers[cntr].source);
+      }
+   }
+
+   // The resolved value was transformed in merging so attribute it to the highest precedence config setting it.
+   if (typeof source === 'undefined' && defining.length > 0) { source = defining.shift(); }
+
+   // Only keep lower precedence configs as overridden.
+   const overrides = [];
+
+   let below = false;
+
+   for (let cntr = layers.length; --cntr >= 0;)
+   {
+      if (layers[cntr].source === source) { below = true; continue; }
+
+      if (below && defining.indexOf(layers[cntr].source) >= 0) { overrides.push(layers[cntr].source); }
+   }
+
+   return { value, source: typeof source === 'undefined' ? 'defaultValues' : source, overrides };
+}
+
+/**
+ * Traverses a resolved config invoking a callback for each leaf value. Empty objects and arrays along with `plugins`
+ * entries are treated as leaf values.
+ *
+ * @param {*}        value - The value to traverse.
+ *
+ * @param {object[]} segments - Key path segments of the value.
+ *
+ * @param {string}   parentKey - The key of the value.
+ *
+ * @param {function(object[], *)} callback - Invoked with the key path segments and value of each leaf value.
+ * @ignore
+ * @private
+ */
+function _traverse(value, segments, parentKey, callback)
+{
+   if (Array.isArray(value))
+   {
+      if (value.length === 0) { callback(segments, value); return; }
+
+      value.forEach((entry, index) =>
+      {
+         if (parentKey === 'plugins' && typeof entry === 'object' && entry !== null && typeof entry.name === 'string')
+         {
+            callback(segments.concat({ name: entry.name }), entry);
+         }
+         else
+         {
+            _traverse(entry, segments.concat({ index }), parentKey, callback);
+         }
+      });
+   }
+   else if (typeof value === 'object' && value !== null)
+   {
+      const keys = Object.keys(value).filter((key) => segments.length > 0 || key !== 'extends');
+
+      if (keys.length === 0 && segments.length > 0) { callback(segments, value); return; }
+
+      for (const key of keys) { _traverse(value[key], segments.concat({ key }), key, callback); }
+   }
+   else
+   {
+      callback(segments, value);
+   }
+}
@@ -1,14 +1,99 @@
 import fs                  from 'fs';
+import minimatch           from 'minimatch';
 import path                from 'path';
-import stripJsonComments   from 'strip-json-comments';
+import url                 from 'url';
 import ObjectUtil          from 'typhonjs-object-util';
 
+import ConfigCache                          from './ConfigCache.js';
+import ConfigMigrator                       from './ConfigMigrator.js';
+import ConfigProvenance                     from './ConfigProvenance.js';
+import ConfigResolverError                  from './ConfigResolverError.js';
+import ConfigWatcher                        from './ConfigWatcher.js';
+import { diffConfigs, formatDiff }          from './diff.js';
+import dynamicImport                        from './dynamicImport.cjs';
+import { applyDirective, isDirective, stripDirectives }
+                                            from './directives.js';
+import ExtendsGraph                         from './ExtendsGraph.js';
+import Redactor                             from './Redactor.js';
+import RemoteConfigLoader                   from './RemoteConfigLoader.js';
+import ResolvedConfig                       from './ResolvedConfig.js';
+import TrustPolicy                          from './TrustPolicy.js';
+import { applyEnvOverrides, interpolateEnv } from './env.js';
+import createDefaultLoaders, { loadJSON }   from './loaders.js';
+import createMergeStrategies, { builtinMergeStrategies, mergePlugins, mergeUpgrade }
+                                            from './mergeStrategies.js';
+import { pointerSegments, validateSchema }  from './schema.js';
+import { expandSecrets }                    from './secrets.js';
+
 /**
  * Provides the default common config resolution process resolving any extensions and setting default values.
  *
  * Both file and NPM modules are supported for config extension via the `extends` as a string or array of strings.
+ * NPM modules are resolved relative to the declaring config. When `sharedConfigPrefix` is set in `ConfigResolverData`
+ * shareable config shorthand names are expanded; IE `foo` loads `myapp-config-foo` for the prefix `myapp-config`.
+ * A `trust` policy in `ConfigResolverData` restricts which executable configs (`.js` files and NPM modules) may be
+ * loaded by `extends`.
+ *
+ * Relative `extends` entries of a config object resolve from the `cwd` or `filePath` option of the resolve methods and
+ * `resolveFile` loads a root config file resolving its `extends` entries from the directory of the file.
+ *
+ * `extends` entries may also be `https://` URLs or `{ "url": "...", "integrity": "sha384-..." }` objects pinning the
+ * contents by SRI hashes. Remote configs are fetched by `resolveAsync` and cached on disk; `resolve` and the other
+ * synchronous methods only load cached remote configs as does the `offline` mode set by `remote` in
+ * `ConfigResolverData`. Relative `extends` entries of a remote config resolve against its URL.
+ *
+ * Validation is also available when setting pre and post validation data or JSON Schemas via `setResolverData`. In
+ * the `collect` validation mode resolution continues through every extended config and fails with a report of all
+ * validation failures; `resolveReport` returns the report instead.
+ *
+ * Config files are parsed by loaders registered by file extension. Built-in loaders are provided for JSON (comments
+ * are stripped), JSON5, TOML and YAML. Additional loaders may be added via `registerLoader` or the `loaders` entry of
+ * `ConfigResolverData`. Files with an unregistered extension are parsed as JSON and `.js` files are loaded by
+ * `require`.
+ *
+ * `${env:NAME}` and `${env:NAME:-default}` placeholders in string values of all configs are expanded from environment
+ * variables. When `envPrefix` is set in `ConfigResolverData` environment variables such as `MYAPP__server__port=8080`
+ * override nested keys of the resolved config.
+ *
+ * When `migrations` is set in `ConfigResolverData` every config in the extension chain is upgraded from an older
+ * config format version to the current version by ordered migrations as loaded; before environment variable
+ * placeholders and `$secret` references are expanded. The version key is removed from migrated configs. Migrated
+ * configs are reported by the log event and `migrate` returns a migrated config file with the current version, so
+ * that it may be rewritten.
+ *
+ * `$secret` references; IE `{ "$file": "/run/secrets/db_password" }` or `{ "$env": "DB_PASS" }` are expanded as
+ * configs are loaded. Expanded secrets and the values of any `sensitiveKeys` set in `ConfigResolverData` are masked in
+ * log events, error messages and by `toRedactedJSON`.
  *
- * Validation is also available when setting pre and post validation data via `setResolverData`.
+ * Like ESLint `overrides` blocks provide configuration for specific files via `resolveForFile`. Each block contains
+ * `files` and optionally `excludedFiles` glob patterns relative to the config file declaring the block.
+ *
+ * Arrays and objects are deep merged unless a merge strategy is set for the key path or key name by `mergeStrategies`
+ * in `ConfigResolverData`; IE `{ "mergeStrategies": { "ignore": "union", "server.hosts": "replace" } }`.
+ *
+ * Any config may also set merge directives as values to change how a key merges with inherited values; `"$unset"`
+ * removes the key, `{ "$replace": value }` replaces the inherited value, `{ "$remove": ["name"] }` removes named
+ * `plugins` or `upgradeMergeList` entries and `{ "$prepend": [...] }` adds entries to the front. Directives are
+ * stripped from the resolved config.
+ *
+ * Environment specific profile sections are supported when `profileKey` is set in `ConfigResolverData`; IE with
+ * `profiles` `{ "profiles": { "production": {...}, "test": {...} } }`. The section matching `NODE_ENV` or the `profile`
+ * option of `resolve` is pre-validated and merged from every config in the extension chain after extensions are
+ * resolved. Profile sections are removed from the resolved config.
+ *
+ * With the `frozen` option the resolve methods return a `ResolvedConfig`; a deep-frozen config with a typed accessor
+ * API and `withOverrides` merging runtime overrides by the merge rules of `extends`.
+ *
+ * Plugins on the plugin eventbus may hook into the resolution of each config in the extension chain by the
+ * `config:resolver:load:pre`, `config:resolver:load:post`, `config:resolver:merge` and `config:resolver:resolved`
+ * events; IE to rewrite `extends` paths, normalize loaded configs or report deprecations. Each hook receives a data
+ * object with the file path, the parent chain and the config name; see `onPluginLoad`.
+ *
+ * `watch` re-resolves a config object when any config file in the extension chain changes and `diff` compares two
+ * resolved configs following the merge semantics of `plugins` and `upgradeMergeList` keys.
+ *
+ * When `cache` is set in `ConfigResolverData` loaded config data is cached per instance and only reloaded when a file
+ * changes; `clearCache` empties the cache and `getCacheStats` returns the hit / miss statistics.
  *
  * ConfigResolver is modeled after the extensions functionality of ESLint. Please see the respective licenses of the
  * code modified at the end of this file.
@@ -34,52 +119,338 @@ export default class ConfigResolver
     *
     * @param {string}      [relativeTo] The path to resolve relative to.
     *
-    * @param {function}    [validate] - A function performing validation.
-    *
-    * @param {string[]}    [loadedConfigs=[]] The config files already loaded.
+    * @param {ResolveContext}  context - The state of the current resolution.
     *
     * @returns {Object} A new configuration object with all of the "extends" fields loaded and merged.
     */
-   _applyExtends(config, filePath, relativeTo, validate, loadedConfigs = [])
+   _applyExtends(config, filePath, relativeTo, context)
    {
+      const loadedConfigs = context.loadedConfigs;
+
       let configExtends = config.extends;
 
       // Normalize into an array for easier handling
       if (!Array.isArray(config.extends)) { configExtends = [config.extends]; }
 
+      const parentChain = context.extendsChain || [];
+
+      const preloaded = context.preloaded || new Map();
+
+      // Any higher precedence elements which may contain merge directives; the lowest precedence element is skipped.
+      const siblings = context.graph.extendsOf(parentChain.length ? parentChain[parentChain.length - 1] :
+       context.graph.root).slice(1).map((loadPath) => preloaded.get(loadPath));
+
+      // The merge directives of an element apply to all lower precedence elements, so elements are merged in precedence
+      // order when any higher precedence element or the config contains directives. Otherwise each element is merged
+      // beneath the higher precedence elements and the config already merged.
+      const inOrder = configExtends.length > 1 && [config].concat(siblings).some((value) => _isObject(value) &&
+       stripDirectives(value) !== value);
+
+      const parents = [];
+
+      let merged = config;
+
       // Make the last element in an array take the highest precedence
-      config = configExtends.reduceRight((previousValue, parentPath) =>
+      for (let index = configExtends.length; --index >= 0;)
+      {
+         const parentPath = this._loadPre(this._extendsPath(_extendsEntry(configExtends[index]).name, filePath,
+          relativeTo), relativeTo, parentChain, context);
+
+         const loadPath = this._resolveLoadPath(parentPath, relativeTo);
+         const extendsChain = parentChain.concat(loadPath);
+
+         // A config extended more than once is only merged where it has the lowest precedence.
+         if (!context.graph.isMergedAt(extendsChain)) { continue; }
+
+         this._log(`resolving config extends: ${parentPath}`, context.redaction);
+
+         // Stores the loaded config path.
+         loadedConfigs.push(parentPath);
+
+         const parentConfig = this._load(parentPath, relativeTo, Object.assign({}, context, { extendsChain }));
+
+         if (inOrder) { parents.unshift({ parentConfig, loadPath }); continue; }
+
+         merged = this._mergeExtends(this._deepMerge(stripDirectives(parentConfig), merged), [parentConfig, merged],
+          loadPath, parentChain, context);
+      }
+
+      // The highest precedence element is merged beneath the config.
+      return parents.reduce((previousValue, { parentConfig, loadPath }, index) =>
+      {
+         const last = index === parents.length - 1;
+
+         let value = previousValue ? this._deepMerge(previousValue, parentConfig) : stripDirectives(parentConfig);
+
+         if (last) { value = this._deepMerge(value, config); }
+
+         return this._mergeExtends(value, [previousValue, parentConfig, last && config], loadPath, parentChain,
+          context);
+      }, void 0) || merged;
+   }
+
+   /**
+    * Applies any environment variable overrides when `envPrefix` is set.
+    *
+    * @param {object}   config - The resolved config object to modify.
+    *
+    * @returns {object|undefined} An object containing only the applied overrides if `envPrefix` is set.
+    */
+   _applyEnvOverrides(config)
+   {
+      return this._envPrefix ? applyEnvOverrides(config, this._envPrefix, process.env) : void 0;
+   }
+
+   /**
+    * Merges all `overrides` blocks matching the target file of the resolution on top of a resolved config. Blocks are
+    * merged in the precedence order of the config declaring them and then in array order. Glob patterns are matched
+    * relative to the directory of the config file declaring the block.
+    *
+    * @param {object}   config - The resolved config object.
+    *
+    * @param {string}   dirPath - The directory of the root config object.
+    *
+    * @param {ResolveContext}  context - The state of the current resolution.
+    *
+    * @returns {object} The config object with all matching `overrides` blocks merged.
+    */
+   _applyOverrides(config, dirPath, context)
+   {
+      const layers = context.layers.get(config) || [];
+
+      for (const layer of layers)
+      {
+         const overrides = layer.config.overrides;
+
+         if (!Array.isArray(overrides)) { continue; }
+
+         const basePath = path.isAbsolute(layer.source) ? path.dirname(layer.source) : dirPath;
+
+         overrides.forEach((block, index) =>
+         {
+            if (!_matchOverride(block, path.relative(basePath, context.targetFile), layer.source)) { return; }
+
+            const blockConfig = Object.assign({}, block);
+
+            delete blockConfig.files;
+            delete blockConfig.excludedFiles;
+            delete blockConfig.overrides;
+
+            config = this._mergeSection(config, blockConfig, basePath, `${layer.source} (overrides[${index}])`,
+             context);
+         });
+      }
+
+      return config;
+   }
+
+   /**
+    * Merges the profile section matching the profile of the resolution from each config on top of a resolved config.
+    * Sections are merged in the precedence order of the config declaring them.
+    *
+    * @param {object}   config - The resolved config object.
+    *
+    * @param {string}   dirPath - The directory of the root config object.
+    *
+    * @param {ResolveContext}  context - The state of the current resolution.
+    *
+    * @returns {object} The config object with all matching profile sections merged.
+    */
+   _applyProfile(config, dirPath, context)
+   {
+      const layers = context.layers.get(config) || [];
+
+      for (const layer of layers)
+      {
+         const sections = layer.config[this._profileKey];
+
+         if (!_isObject(sections) || !_isObject(sections[context.profile])) { continue; }
+
+         const basePath = path.isAbsolute(layer.source) ? path.dirname(layer.source) : dirPath;
+
+         config = this._mergeSection(config, sections[context.profile], basePath,
+          `${layer.source} (${this._profileKey}.${context.profile})`, context);
+      }
+
+      return config;
+   }
+
+   /**
+    * Builds the dependency graph of the `extends` entries of a config loading any extended config data not already
+    * preloaded. Loaded config data is stored in `context.preloaded` for merging by `_applyExtends`.
+    *
+    * @param {object}            config - A config object with `extends` entries.
+    *
+    * @param {string}            dirPath - The directory to resolve any extensions relative to.
+    *
+    * @param {ResolveContext}    context - The state of the current resolution.
+    *
+    * @returns {ExtendsGraph} The extends graph.
+    * @throws {ConfigResolverError} A `CIRCULAR_EXTENDS` error showing the cycle path if a config extends itself.
+    */
+   _buildGraph(config, dirPath, context)
+   {
+      const graph = new ExtendsGraph(context.configName || 'config');
+
+      const preloaded = context.preloaded = context.preloaded || new Map();
+
+      const visit = (node, nodeConfig, filePath, relativeTo, chain) =>
       {
-         if (this._isFilePath(parentPath))
+         if (!nodeConfig || !nodeConfig.extends) { return; }
+
+         for (const entry of [].concat(nodeConfig.extends))
          {
-            // If the `extends` path is relative, use the directory of the current configuration
-            // file as the reference point. Otherwise, use as-is.
-            parentPath = (!path.isAbsolute(parentPath) ?
-             path.join(relativeTo || path.dirname(filePath), parentPath) : parentPath);
+            const { name, integrity } = _extendsEntry(entry);
+
+            const parentPath = this._loadPre(this._extendsPath(name, filePath, relativeTo), relativeTo, chain, context);
+
+            const loadPath = this._resolveLoadPath(parentPath, relativeTo);
+            const extendsChain = chain.concat(loadPath);
+
+            if (chain.indexOf(loadPath) >= 0)
+            {
+               const cycle = chain.slice(chain.indexOf(loadPath)).concat(loadPath);
+
+               throw new ConfigResolverError('CIRCULAR_EXTENDS', `Circular extends: ${cycle.join(' -> ')}`,
+                { filePath: loadPath, extendsChain });
+            }
+
+            if (this._trust) { this._checkTrust(name, loadPath, node, extendsChain); }
+
+            // Already in the graph; the extends entries were visited where first found.
+            if (!graph.addEdge(node, loadPath, extendsChain)) { continue; }
+
+            if (!preloaded.has(loadPath))
+            {
+               preloaded.set(loadPath, this._loadPost(this._loadData(parentPath, loadPath,
+                { extendsChain, integrity, redaction: context.redaction }), loadPath, chain, context));
+            }
+
+            visit(loadPath, preloaded.get(loadPath), parentPath, _extendsBase(loadPath), extendsChain);
          }
+      };
+
+      visit(graph.root, config, dirPath, dirPath, []);
+
+      return graph;
+   }
+
+   /**
+    * Checks an `extends` entry against the trust policy when the entry is an executable config; a `.js`, `.cjs` or
+    * `.mjs` file without a registered loader or an NPM module which does not resolve to a file with a registered
+    * loader. Any such module is loaded by `require` whatever its file extension.
+    *
+    * @param {string}         entry - The `extends` entry.
+    *
+    * @param {string}         loadPath - The resolved load path.
+    *
+    * @param {string}         referencedFrom - The config declaring the entry.
+    *
+    * @param {Array<string>}  extendsChain - The load paths from the root config to the entry.
+    *
+    * @throws {ConfigResolverError} An `UNTRUSTED` error naming the entry and the config declaring it.
+    */
+   _checkTrust(entry, loadPath, referencedFrom, extendsChain)
+   {
+      // Remote configs are only parsed as data.
+      if (_isURL(loadPath)) { return; }
+
+      const ext = path.extname(loadPath);
+
+      const filePath = this._isFilePath(entry);
+
+      const executable = filePath ? ['.cjs', '.js', '.mjs'].indexOf(ext) >= 0 && !this._loaders.has(ext) :
+       !this._isDataModule(loadPath);
+
+      if (!executable) { return; }
+
+      const moduleName = filePath ? void 0 : this._sharedConfigPrefix ?
+       _expandSharedConfig(entry, this._sharedConfigPrefix) : entry;
+
+      const reason = this._trust.check({ entry, loadPath, moduleName, referencedFrom });
+
+      if (reason)
+      {
+         throw new ConfigResolverError('UNTRUSTED', `Untrusted config '${entry}' (${loadPath}) referenced from '${
+          referencedFrom}': ${reason}.`, { filePath: loadPath, extendsChain });
+      }
+   }
+
+   /**
+    * Removes all cached config data and resets the cache statistics.
+    */
+   clearCache()
+   {
+      if (this._cache) { this._cache.clear(); }
+   }
+
+   /**
+    * Adds every validation failure of a config object to the validation report of the resolution. Failures of
+    * resolved configs are attributed to the highest precedence config layer setting the value.
+    *
+    * @param {object}   config - A config object to validate.
+    *
+    * @param {string}   configName - Name of the config object.
+    *
+    * @param {string}   stage - The validation stage; `pre` or `post`.
+    *
+    * @param {ResolveContext}  context - The state of the current resolution.
+    * @private
+    */
+   _collectFailures(config, configName, stage, context)
+   {
+      const failures = [];
 
-         // Early out if this path has already been loaded; prevents circular dependencies.
-         if (loadedConfigs.indexOf(parentPath) >= 0) { return previousValue; }
+      const schema = this._schema[stage];
+      const validationData = stage === 'pre' ? this._preValidate : this._postValidate;
 
-         if (this._eventbus && this._logEvent)
+      if (schema)
+      {
+         for (const violation of validateSchema(config, schema, { applyDefaults: stage === 'post' }))
          {
-            this._eventbus.trigger(this._logEvent, `${this._logPrepend}resolving config extends: ${parentPath}`);
+            const segments = pointerSegments(violation.pointer);
+
+            // Failures report the actual value instead of the type name of `type` violations.
+            failures.push({ stage, keyPath: _keyPath(segments), expected: violation.expected,
+             actual: violation.keyword === 'type' ? _valueAt(config, segments) : violation.actual,
+              message: violation.message, source: void 0 });
          }
+      }
 
-         // Stores the loaded config path.
-         loadedConfigs.push(parentPath);
+      for (const key of Object.keys(validationData || {}))
+      {
+         try
+         {
+            ObjectUtil.validate(config, { [key]: validationData[key] }, configName);
+         }
+         catch (err)
+         {
+            failures.push({ stage, keyPath: key, expected: _expectedRule(validationData[key]),
+             actual: ObjectUtil.safeAccess(config, key), message: err.message, source: void 0 });
+         }
+      }
 
-         return this._deepMerge(this._load(parentPath, relativeTo, validate, loadedConfigs), previousValue);
-      }, config);
+      // Pre-validation failures are attributed to the loaded config by the caller.
+      if (stage === 'post')
+      {
+         const layers = (context.layers && context.layers.get(config)) || [];
 
-      return config;
+         for (const failure of failures)
+         {
+            failure.source = _layerSource(layers, _keyPathSegments(failure.keyPath)) || configName;
+         }
+      }
+
+      context.report.push(...failures);
    }
 
    /**
     * Merges two config objects. This will not only add missing keys, but will also modify values to match.
     *
-    * If an object key is included in this._upgradeMergeList it will be upgraded and merged into an array without
-    * duplicating elements.
+    * Values of keys with an entry in the merge strategies (`mergeStrategies`, `plugins` and `upgradeMergeList`) are
+    * merged by that strategy. An entry matches a dotted key path or any key with that name; key paths take precedence.
+    * Merge directives of source values; `"$unset"`, `$replace`, `$remove` and `$prepend` are applied before any
+    * strategy.
     *
     * @param {Object}   target - Config object.
     *
@@ -87,11 +458,11 @@ export default class ConfigResolver
     *
     * @param {boolean}  [combine] - Whether to combine arrays or not.
     *
-    * @param {string}   [parentKey] - The parent key of the merged items if any.
+    * @param {string}   [keyPath=''] - The dotted key path of the merged items if any.
     *
     * @returns {Object} merged config object.
     */
-   _deepMerge(target, src, combine = false, parentKey = void 0)
+   _deepMerge(target, src, combine = false, keyPath = '')
    {
       const array = Array.isArray(src) || Array.isArray(target);
 
@@ -118,28 +489,6 @@ export default class ConfigResolver
             src = [src];
          }
 
-         // Plugin merging is handled separately in reverse order and is skipped in merging object elements below.
-         if (parentKey === 'plugins' && Array.isArray(target))
-         {
-            // Push target plugin config if not found in merged destination.
-            target.forEach((plugin) =>
-            {
-               if (!dst.find((dstPlugin) => dstPlugin.name === plugin.name)) { dst.push(plugin); }
-            });
-
-            // Replace any existing plugin config in destination that matches a plugin config name from source.
-            src.forEach((plugin) =>
-            {
-               const index = dst.findIndex((dstPlugin) => dstPlugin.name === plugin.name);
-
-               // Potentially remove old plugin with matching name to new plugin.
-               if (index >= 0) { dst.splice(index, 1); }
-
-               // Add the new plugin to head of array.
-               dst.unshift(plugin);
-            });
-         }
-
          Object.keys(src).forEach((srcElement, srcIndex) =>
          {
             srcElement = src[srcIndex];
@@ -150,10 +499,7 @@ export default class ConfigResolver
             }
             else if (typeof srcElement === "object")
             {
-               if (parentKey !== 'plugins')
-               {
-                  dst[srcIndex] = this._deepMerge(target[srcIndex], srcElement, combine, parentKey);
-               }
+               dst[srcIndex] = this._deepMerge(target[srcIndex], srcElement, combine, `${keyPath}[${srcIndex}]`);
             }
             else
             {
@@ -183,25 +529,27 @@ export default class ConfigResolver
 
          Object.keys(src).forEach((srcKey) =>
          {
-            // Potentially upgrade any single value to an array.
-            if (this._upgradeMergeList.indexOf(srcKey) >= 0 && !Array.isArray(src[srcKey]))
-            {
-               src[srcKey] = [src[srcKey]];
-            }
+            const srcKeyPath = keyPath === '' ? srcKey : `${keyPath}.${srcKey}`;
 
-            if (Array.isArray(src[srcKey]) || Array.isArray(target[srcKey]))
-            {
-               dst[srcKey] = this._deepMerge(target[srcKey], src[srcKey], this._upgradeMergeList.indexOf(srcKey) >= 0,
-                srcKey);
-            }
-            else if (typeof src[srcKey] !== 'object' || !src[srcKey])
-            {
-               dst[srcKey] = src[srcKey];
-            }
-            else
+            const strategy = this._mergeStrategies.get(srcKeyPath) || this._mergeStrategies.get(srcKey);
+
+            // The target may be missing when merging array elements.
+            const targetValue = target && typeof target === 'object' ? target[srcKey] : void 0;
+
+            // Merge directives take precedence over merge strategies; merged `plugins` are in reverse order.
+            if (isDirective(src[srcKey]))
             {
-               dst[srcKey] = this._deepMerge(target[srcKey] || {}, src[srcKey], combine, srcKey);
+               const value = applyDirective(targetValue, src[srcKey], srcKeyPath,
+                srcKeyPath === 'plugins' && this._reversePlugins);
+
+               if (typeof value === 'undefined') { delete dst[srcKey]; }
+               else { dst[srcKey] = value; }
+
+               return;
             }
+
+            dst[srcKey] = strategy ? strategy(targetValue, src[srcKey], this._mergeContext(srcKey, srcKeyPath)) :
+             this._mergeValue(targetValue, src[srcKey], false, srcKeyPath);
          });
       }
 
@@ -209,310 +557,1962 @@ export default class ConfigResolver
    }
 
    /**
-    * Returns any associated log prepend string.
+    * Compares two resolved config objects returning the added, removed and changed key paths as structured data and
+    * text. `plugins` entries are matched by `name` and arrays of `upgradeMergeList` keys or keys with the `union` merge
+    * strategy are compared as sets; other arrays are compared by position.
     *
-    * @returns {string}
-    */
-   getLogPrepend()
-   {
-      return this._logPrepend;
-   }
-
-   /**
-    * Returns the resolver data as a ConfigResolverData object.
+    * @param {object}   configA - The previous resolved config object.
     *
-    * Note: that this is the active data and a copy is not made.
+    * @param {object}   configB - The new resolved config object.
     *
-    * @returns {ConfigResolverData}
+    * @returns {ConfigDiff} The differences.
     */
-   getResolverData()
+   diff(configA, configB)
    {
-      return JSON.parse(JSON.stringify(
+      if (typeof configA !== 'object' || configA === null) { throw new TypeError(`'configA' is not an 'object'.`); }
+      if (typeof configB !== 'object' || configB === null) { throw new TypeError(`'configB' is not an 'object'.`); }
+
+      const changes = diffConfigs(configA, configB, (keyPath, key) =>
       {
-         defaultValues: this._defaultValues,
-         preValidate: this._preValidate,
-         postValidate: this._postValidate,
-         upgradeMergeList: this._upgradeMergeList
-      }));
+         const strategy = this._mergeStrategies.get(keyPath) || this._mergeStrategies.get(key);
+
+         if (strategy === mergePlugins) { return { key: 'name' }; }
+
+         return strategy === mergeUpgrade || strategy === builtinMergeStrategies.get('union') ? { set: true } : void 0;
+      });
+
+      return Object.assign(changes, { text: formatDiff(changes) });
    }
 
    /**
-    * Determines if a given string represents a filepath or not using the same conventions as require(), meaning that
-    * the first character must be non-alphanumeric and not the @ sign which is used for scoped packages to be considered
-    * a file path.
+    * Discovers a config file by searching up the directory tree from `startDir` then resolves it. In each directory
+    * the file names in `names` are checked in order followed by the `packageJsonKey` entry in any `package.json`. The
+    * first match is resolved with any `extends` entries relative to the real location of the discovered file.
     *
-    * @param {string} filePath The string to check.
+    * @param {object}   options - Discovery options.
     *
-    * @returns {boolean} True if it's a filepath, false if not.
-    */
-   _isFilePath(filePath)
-   {
-      return path.isAbsolute(filePath) || !(/\w|@/.test(filePath.charAt(0)));
-   }
-
-   /**
-    * Loads a configuration file from the given file path.
+    * @param {string[]} [options.names=[]] - Config file names to search for in order; IE `['.myapprc',
+    *                                        '.myapprc.json', '.myapprc.yml', 'myapp.config.js']`.
     *
-    * @param {string}      filePath The filename or package name to load the configuration information from.
+    * @param {string}   [options.startDir=process.cwd()] - The directory to start searching from.
     *
-    * @param {string}      [relativeTo] The path to resolve relative to.
+    * @param {string}   [options.stopDir] - The last directory to search; by default the file system root.
     *
-    * @param {function}    [validate] - A function performing validation.
+    * @param {string}   [options.packageJsonKey] - A key in `package.json` containing config data.
     *
-    * @param {string[]}    [loadedConfigs] The config files already loaded.
+    * @param {string}   [options.configName='config'] - Optional name of the config object.
     *
-    * @returns {Object} The configuration information.
+    * @returns {{config: object, filePath: string}|null} The resolved config and discovered file path or null if no
+    *                                                    config is found.
     */
-   _load(filePath, relativeTo = '', validate, loadedConfigs)
+   discover({ names = [], startDir = process.cwd(), stopDir = void 0, packageJsonKey = void 0,
+    configName = 'config' } = {})
    {
-      let config, dirname;
-
-      // Resolve relative file path otherwise assume filePath is from an NPM module.
-      if (this._isFilePath(filePath))
+      if (!Array.isArray(names)) { throw new TypeError(`'names' is not an 'array'.`); }
+      if (typeof startDir !== 'string') { throw new TypeError(`'startDir' is not a 'string'.`); }
+      if (typeof stopDir !== 'undefined' && typeof stopDir !== 'string')
+      {
+         throw new TypeError(`'stopDir' is not a 'string'.`);
+      }
+      if (typeof packageJsonKey !== 'undefined' && typeof packageJsonKey !== 'string')
       {
-         const resolvedPath = path.resolve(relativeTo, filePath);
-         dirname = path.dirname(resolvedPath);
+         throw new TypeError(`'packageJsonKey' is not a 'string'.`);
+      }
+
+      const stopPath = typeof stopDir === 'string' ? path.resolve(stopDir) : void 0;
 
-         const ext = path.extname(resolvedPath);
+      let dirPath = path.resolve(startDir);
 
-         if (ext === '.js')
+      for (;;)
+      {
+         for (const name of names)
          {
-            config = require(resolvedPath);
+            const filePath = path.join(dirPath, name);
+
+            if (_isFile(filePath))
+            {
+               const realPath = fs.realpathSync(filePath);
+
+               return { config: this._resolve(this._loadFile(realPath), configName, path.dirname(realPath)),
+                filePath: realPath };
+            }
          }
-         else
+
+         if (packageJsonKey)
          {
-            const configJSON = fs.readFileSync(resolvedPath, { encode: 'utf8' }).toString();
+            const filePath = path.join(dirPath, 'package.json');
+
+            if (_isFile(filePath))
+            {
+               const realPath = fs.realpathSync(filePath);
+               const packageJSON = JSON.parse(fs.readFileSync(realPath, { encode: 'utf8' }).toString());
 
-            config = JSON.parse(stripJsonComments(configJSON));
+               if (typeof packageJSON[packageJsonKey] === 'object' && packageJSON[packageJsonKey] !== null)
+               {
+                  return { config: this._resolve(packageJSON[packageJsonKey], configName, path.dirname(realPath)),
+                   filePath: realPath };
+               }
+            }
          }
-      }
-      else
-      {
-         config = require(filePath);
-      }
 
-      // Perform pre-validation for the loaded config.
-      if (validate) { validate(config); }
+         const parentPath = path.dirname(dirPath);
 
-      if (config)
-      {
-         // If an `extends` property is defined, it represents a configuration file to use as a `parent`. Load the
-         // referenced file and merge the configuration recursively.
-         if (config.extends)
-         {
-            config = this._applyExtends(config, filePath, dirname, validate, loadedConfigs);
-         }
-      }
+         if (dirPath === stopPath || parentPath === dirPath) { return null; }
 
-      return config;
+         dirPath = parentPath;
+      }
    }
 
    /**
-    * Stores any associated plugin eventbus and attempts loading of . The following event bindings are available:
+    * Expands any `$secret` references in a loaded config recording the expanded secrets and the values of sensitive
+    * keys for redaction. `$file` references of remote configs are rejected.
     *
-    * `config:resolver:resolve`: Invokes `resolve`.
-    * `config:resolver:validate:pre`: Invokes `preValidate`.
-    * `config:resolver:validate:post`: Invokes `postValidate`.
+    * @param {object}   config - A loaded config object.
     *
-    * @param {PluginEvent} ev - The plugin event.
+    * @param {string}   source - The config file path, module name or config name included in any error message.
+    *
+    * @param {string}   dirPath - The directory relative `$file` paths are resolved relative to.
+    *
+    * @param {RedactionScope}  redaction - The redaction scope of the resolution recording the sensitive values.
+    *
+    * @returns {object} The config object or a copy with all references expanded.
     */
-   onPluginLoad(ev)
+   _expandSecrets(config, source, dirPath, redaction)
    {
-      const eventbus = ev.eventbus;
-      const options = ev.pluginOptions;
+      config = expandSecrets(config, { allowFiles: !_isURL(source), dirPath, source, onSecret: (value, keyPath) =>
+      {
+         this._redactor.addSecret(redaction, value, keyPath);
 
-      /**
-       * @type {EventProxy} - The plugin manager event proxy.
-       */
-      this._eventbus = eventbus;
-      this._logEvent = options.logEvent || 'log:info';
-      this._logPrepend = options.logPrepend || '';
+         // Secrets of profile sections and `overrides` blocks are also masked where the section is merged.
+         const sectionKeyPath = _sectionKeyPath(keyPath, this._profileKey);
 
-      let eventPrepend = '';
+         if (sectionKeyPath !== keyPath) { this._redactor.addSecret(redaction, value, sectionKeyPath); }
+      } });
 
-      // Apply any resolver data.
-      if (typeof options.resolverData === 'object') { this.setResolverData(options.resolverData); }
+      this._redactor.collect(redaction, config);
 
-      // If `eventPrepend` is defined then it is prepended before all event bindings.
-      if (typeof options.eventPrepend === 'string') { eventPrepend = `${options.eventPrepend}:`; }
+      return config;
+   }
 
-      eventbus.on(`${eventPrepend}config:resolver:resolve`, this.resolve, this);
-      eventbus.on(`${eventPrepend}config:resolver:validate:pre`, this.preValidate, this);
-      eventbus.on(`${eventPrepend}config:resolver:validate:post`, this.postValidate, this);
+   /**
+    * Returns the path of an `extends` entry. Relative file paths are resolved relative to the directory of the
+    * declaring config or against the URL of a remote config. Remote configs may only extend URLs and relative paths,
+    * so that a remote config never loads local files or NPM modules.
+    *
+    * @param {string}   name - The `extends` file path, NPM module name or URL.
+    *
+    * @param {string}   filePath - The file path from which the declaring config was loaded.
+    *
+    * @param {string}   [relativeTo] - The directory or URL to resolve relative to.
+    *
+    * @returns {string} The file path, NPM module name or URL.
+    * @throws {ConfigResolverError} An `UNTRUSTED` error for an absolute path or NPM module of a remote config.
+    */
+   _extendsPath(name, filePath, relativeTo)
+   {
+      if (_isURL(name)) { return name; }
+
+      if (_isURL(relativeTo))
+      {
+         if (!this._isFilePath(name) || path.isAbsolute(name)) { throw _untrustedRemoteEntry(name, relativeTo); }
+
+         return new url.URL(name, relativeTo).href;
+      }
+
+      if (!this._isFilePath(name) || path.isAbsolute(name)) { return name; }
+
+      // If the `extends` path is relative, use the directory of the current configuration file as the reference point.
+      return path.join(relativeTo || path.dirname(filePath), name);
    }
 
    /**
-    * Validates a config object for any missing or incorrect parameters after resolving.
+    * Creates a `ResolvedConfig` of a resolved config. Values are attributed to the highest precedence config layer
+    * setting the key path and `withOverrides` merges overrides as a config layer named `overrides`.
     *
-    * @param {object}   config - A config object to validate.
+    * @param {object}   config - A resolved config object.
     *
-    * @param {string}   [configName='config'] - Optional name of the config object.
+    * @param {string}   configName - Name of the config object.
+    *
+    * @param {Array<{source: string, config: object}>} layers - The config layers of the resolved config.
+    *
+    * @returns {ResolvedConfig} The deep-frozen config.
     */
-   postValidate(config, configName = 'config')
+   _freeze(config, configName, layers)
    {
-      if (this._postValidate) { ObjectUtil.validate(config, this._postValidate, configName); }
+      return new ResolvedConfig(config, {
+         source: (keyPath) => _layerSource(layers, _keyPathSegments(keyPath)) || 'defaultValues',
+         merge: (target, overrides) =>
+         {
+            const context = { layers: new WeakMap() };
+
+            context.layers.set(target, layers);
+
+            const merged = this._mergeSection(target, overrides, process.cwd(), 'overrides', context);
+
+            return this._freeze(merged, configName, context.layers.get(merged));
+         }
+      });
    }
 
    /**
-    * Validates a config object for any missing or incorrect parameters before and during resolving extended config
-    * data.
+    * Returns the statistics of the cache of loaded config data.
     *
-    * @param {object}   config - A config object to validate.
+    * @returns {{hits: number, misses: number, size: number}} The number of cache hits, misses and entries; all zero
+    *                                                         when caching is disabled.
+    */
+   getCacheStats()
+   {
+      return this._cache ? this._cache.stats : { hits: 0, misses: 0, size: 0 };
+   }
+
+   /**
+    * Returns any associated log prepend string.
     *
-    * @param {string}   [configName='config'] - Optional name of the config object.
+    * @returns {string}
+    */
+   getLogPrepend()
+   {
+      return this._logPrepend;
+   }
+
+   /**
+    * Returns the resolver data as a ConfigResolverData object.
+    *
+    * Note: that this is the active data and a copy is not made. RegExp entries of `sensitiveKeys` are not included.
+    *
+    * @returns {ConfigResolverData}
     */
-   preValidate(config, configName = 'config')
+   getResolverData()
    {
-      if (this._preValidate) { ObjectUtil.validate(config, this._preValidate, configName); }
+      return JSON.parse(JSON.stringify(
+      {
+         cache: this._cache ? this._cache.validate : false,
+         defaultValues: this._defaultValues,
+         mergeStrategies: this._mergeStrategyData,
+         migrations: this._migrator,
+         preValidate: this._preValidate,
+         postValidate: this._postValidate,
+         profileKey: this._profileKey,
+         remote: { allowHttp: this._remote.allowHttp, cacheDir: this._remote.cacheDir, offline: this._remote.offline,
+          timeout: this._remote.timeout },
+         schema: this._schema,
+         sensitiveKeys: this._redactor.sensitiveKeys.filter((entry) => typeof entry === 'string'),
+         sharedConfigPrefix: this._sharedConfigPrefix,
+         trust: this._trust,
+         upgradeMergeList: this._upgradeMergeList,
+         validationMode: this._validationMode
+      }));
    }
 
    /**
-    * Resolves any config extension and sets missing default config values.
+    * Expands any environment variable placeholders in a loaded config when enabled.
     *
-    * @param {object}   config - A config object to resolve.
+    * @param {object}   config - A loaded config object.
     *
-    * @param {string}   [configName='config'] - Optional name of the config object.
+    * @param {string}   source - The config file path, module name or config name included in any error message.
     *
-    * @override
+    * @returns {object} The config object or a copy with all placeholders expanded.
     */
-   resolve(config, configName = 'config')
+   _interpolateEnv(config, source)
    {
-      if (typeof config !== 'object') { throw new TypeError(`'config' is not an 'object'.`); }
+      return this._interpolate ? interpolateEnv(config, process.env, source) : config;
+   }
+
+   /**
+    * Returns whether a resolved NPM module is a data config; a file with a registered loader. Data modules are parsed
+    * by the loader instead of loaded by `require`.
+    *
+    * @param {string}   modulePath - The resolved module file path or the module name if it can not be resolved.
+    *
+    * @returns {boolean} True if the module is parsed as data.
+    */
+   _isDataModule(modulePath)
+   {
+      return path.isAbsolute(modulePath) && this._loaders.has(path.extname(modulePath));
+   }
+
+   /**
+    * Determines if a given string represents a filepath or not using the same conventions as require(), meaning that
+    * the first character must be non-alphanumeric and not the @ sign which is used for scoped packages to be considered
+    * a file path.
+    *
+    * @param {string} filePath The string to check.
+    *
+    * @returns {boolean} True if it's a filepath, false if not.
+    */
+   _isFilePath(filePath)
+   {
+      return path.isAbsolute(filePath) || !(/\w|@/.test(filePath.charAt(0)));
+   }
 
-      this.preValidate(config, configName);
+   /**
+    * Returns a copy of a loaded config tracked as a config layer. Merge directives are removed, so that the layer
+    * provides the values the config sets, except from profile sections and `overrides` blocks which are merged from the
+    * layer.
+    *
+    * @param {object}   config - A loaded config.
+    *
+    * @returns {object} The layer config.
+    */
+   _layerConfig(config)
+   {
+      const layerConfig = JSON.parse(JSON.stringify(config));
 
-      const resolvedConfig = this._allowExtends ? this._resolveExtends(config) : config;
+      const sections = {};
 
-      this.setDefaultValues(resolvedConfig);
+      for (const key of this._profileKey ? [this._profileKey, 'overrides'] : ['overrides'])
+      {
+         if (layerConfig.hasOwnProperty(key))
+         {
+            sections[key] = layerConfig[key];
 
-      this.postValidate(resolvedConfig, configName);
+            delete layerConfig[key];
+         }
+      }
 
-      return resolvedConfig;
+      return Object.assign(stripDirectives(layerConfig), sections);
    }
 
    /**
-    * Provides config extension implementation.
+    * Loads a configuration file from the given file path.
     *
-    * @param {object}   config - A config object to resolve.
+    * @param {string}      filePath The filename or package name to load the configuration information from.
     *
-    * @returns {*}
-    * @private
+    * @param {string}      [relativeTo] The path to resolve relative to.
+    *
+    * @param {ResolveContext}  [context] - The state of the current resolution.
+    *
+    * @returns {Object} The configuration information.
     */
-   _resolveExtends(config)
+   _load(filePath, relativeTo = '', context = {})
    {
-      if (!config.extends) { return config; }
-
-      const dirPath = process.cwd();
-
-      const loadedConfigs = [];
+      let config, dirname;
 
-      let resolvedConfig;
+      const loadPath = this._resolveLoadPath(filePath, relativeTo);
 
       try
       {
-         resolvedConfig = this._applyExtends(config, dirPath, dirPath, this.preValidate.bind(this), loadedConfigs);
+         config = context.preloaded && context.preloaded.has(loadPath) ? context.preloaded.get(loadPath) :
+          this._loadPost(this._loadData(filePath, loadPath, { extendsChain: context.extendsChain,
+           redaction: context.redaction }), loadPath,
+           (context.extendsChain || []).slice(0, -1), context);
+
+         // Relative `extends` entries of config files and resolved NPM modules resolve from the module directory.
+         dirname = _extendsBase(loadPath);
+
+         if (context.layers && typeof config === 'object' && config !== null)
+         {
+            context.layers.set(config, [{ source: loadPath, config: this._layerConfig(config) }]);
+         }
+
+         config = this._stripSections(config, context);
+
+         // Perform pre-validation for the loaded config.
+         if (context.validate)
+         {
+            context.validate(stripDirectives(config), void 0, context);
+
+            if (context.report) { _setFailureSource(context.report, loadPath); }
+         }
       }
       catch (err)
       {
-         // Add the sequence of loaded config files so the user is able to see where the error occurred.
-         err.message += `\nReferenced from: \n${loadedConfigs.join('\n')}`;
-
-         throw err;
+         throw ConfigResolverError.from(err, loadPath, context.extendsChain);
       }
 
-      // Replace any merged `extends` entries with the resolved loaded order / extends entries.
-      if (loadedConfigs.length > 0)
+      if (config)
       {
-         delete resolvedConfig.extends;
-
-         resolvedConfig.extends = loadedConfigs;
+         // If an `extends` property is defined, it represents a configuration file to use as a `parent`. Load the
+         // referenced file and merge the configuration recursively.
+         if (config.extends)
+         {
+            config = this._applyExtends(config, filePath, dirname, context);
+         }
       }
 
-      // Reverse plugin order so that the earliest plugins in extended config chains appear first.
-      if (Array.isArray(resolvedConfig.plugins)) { resolvedConfig.plugins.reverse(); }
-
-      return resolvedConfig;
+      return config;
    }
 
    /**
-    * Sets default config values.
+    * Asynchronously loads a configuration file from the given file path without resolving any extensions. File data
+    * is read with promise based file reads and remote configs are fetched. ES Modules (`.mjs` files, `.js` files in
+    * `"type": "module"` packages and ESM only NPM modules) are loaded by dynamic `import()`. The loaded config is
+    * migrated to the current version when `migrations` is set, then environment variable placeholders and `$secret`
+    * references are expanded.
     *
-    * @param {object}   config - A config object to set default values that do not already exist.
+    * @param {string}      filePath The filename or package name to load the configuration information from.
+    *
+    * @param {string}      [relativeTo] The path to resolve relative to.
+    *
+    * @param {string}      [integrity] - SRI hashes pinning the contents of a remote config.
+    *
+    * @param {RedactionScope}  [redaction] - The redaction scope of the resolution recording the sensitive values.
+    *
+    * @returns {Promise<Object>} The configuration information.
     */
-   setDefaultValues(config)
+   _loadAsync(filePath, relativeTo = '', integrity = void 0, redaction = this._redactor.createScope())
    {
-      if (this._defaultValues)
+      const loadPath = this._resolveLoadPath(filePath, relativeTo);
+      const ext = path.extname(loadPath);
+
+      let promise;
+
+      if (_isURL(loadPath))
       {
-         ObjectUtil.safeSetAll(config, this._defaultValues, 'set-undefined', this._createMissing);
+         promise = this._remote.fetch(loadPath, integrity).then((data) => this._parse(data, loadPath));
+      }
+      else if ((!this._isFilePath(filePath) && !this._isDataModule(loadPath)) ||
+       (ext === '.js' && !this._loaders.has(ext)))
+      {
+         // NPM modules which are not data configs and `.js` files.
+         promise = this._cache ? new Promise((resolve) => resolve(require.resolve(loadPath))).then((modulePath) =>
+          this._cache.loadAsync(modulePath, () => _requireOrImport(modulePath, true))) : _requireOrImport(loadPath);
+      }
+      else if (ext === '.mjs' && !this._loaders.has(ext))
+      {
+         promise = _import(url.pathToFileURL(loadPath).href);
+      }
+      else if (this._cache)
+      {
+         promise = this._cache.loadAsync(loadPath, (data) => typeof data === 'string' ? this._parse(data, loadPath) :
+          _readFile(loadPath).then((fileData) => this._parse(fileData, loadPath)));
+      }
+      else
+      {
+         promise = _readFile(loadPath).then((data) => this._parse(data, loadPath));
       }
+
+      return promise.then((config) => this._expandSecrets(this._interpolateEnv(this._migrate(config, loadPath,
+       redaction), loadPath), loadPath, path.isAbsolute(loadPath) ? path.dirname(loadPath) : process.cwd(), redaction));
    }
 
    /**
-    * Sets any associated log prepend string.
+    * Loads a config file, NPM module or cached remote config without resolving any extensions. The loaded config is
+    * migrated to the current version when `migrations` is set, then environment variable placeholders and `$secret`
+    * references are expanded.
     *
-    * @param {string}   logPrepend - A string to prepend to any log statements.
+    * @param {string}         filePath - The filename or package name to load the configuration information from.
+    *
+    * @param {string}         loadPath - The resolved load path.
+    *
+    * @param {object}         [options] - Optional parameters.
+    *
+    * @param {Array<string>}  [options.extendsChain=[]] - The load paths from the root config included in any error.
+    *
+    * @param {string}         [options.integrity] - SRI hashes pinning the contents of a remote config.
+    *
+    * @param {RedactionScope} [options.redaction] - The redaction scope of the resolution recording the sensitive
+    *                                               values.
+    *
+    * @returns {Object} The configuration information.
     */
-   setLogPrepend(logPrepend = '')
+   _loadData(filePath, loadPath, { extendsChain = [], integrity = void 0,
+    redaction = this._redactor.createScope() } = {})
    {
-      if (typeof logPrepend !== 'string') { throw new TypeError('logPrepend is not a string.'); }
+      try
+      {
+         let config;
 
-      this._logPrepend = logPrepend;
+         // Remote configs are only read from the disk cache; otherwise resolve relative file path or assume filePath is
+         // from an NPM module.
+         if (_isURL(loadPath)) { config = this._parse(this._remote.readCache(loadPath, integrity), loadPath); }
+         else
+         {
+            config = this._isFilePath(filePath) || this._isDataModule(loadPath) ? this._loadFile(loadPath) :
+             this._loadModule(loadPath);
+         }
+
+         return this._expandSecrets(this._interpolateEnv(this._migrate(config, loadPath, redaction), loadPath),
+          loadPath, path.isAbsolute(loadPath) ? path.dirname(loadPath) : process.cwd(), redaction);
+      }
+      catch (err)
+      {
+         throw ConfigResolverError.from(err, loadPath, extendsChain);
+      }
    }
 
    /**
-    * Sets the config resolver data.
+    * Loads and parses a single config file without resolving any extensions. `.js` files are loaded by `require`
+    * unless a loader is registered for `.js`. When caching unchanged files are not read or parsed again and a changed
+    * `.js` file is reloaded instead of returning the stale `require` result.
     *
-    * Note: For values of ConfigResolverData not set empty defaults are provided.
+    * @param {string}      filePath The absolute file path to load.
+    *
+    * @returns {Object} The configuration information.
     */
-   setResolverData({ allowExtends = true, createMissing = true, defaultValues = {}, preValidate = {}, postValidate = {},
-    upgradeMergeList = [] } = {})
+   _loadFile(filePath)
    {
-      if (typeof allowExtends !== 'boolean') { throw new TypeError(`'allowExtends' is not a 'boolean'.`); }
-      if (typeof createMissing !== 'boolean') { throw new TypeError(`'createMissing' is not a 'boolean'.`); }
-      if (typeof defaultValues !== 'object') { throw new TypeError(`'defaultValues' is not an 'object'.`); }
-      if (typeof preValidate !== 'object') { throw new TypeError(`'preValidate' is not an 'object'.`); }
-      if (typeof postValidate !== 'object') { throw new TypeError(`'postValidate' is not an 'object'.`); }
-      if (!Array.isArray(upgradeMergeList)) { throw new TypeError(`'upgradeMergeList' is not an 'array'.`); }
+      const js = path.extname(filePath) === '.js' && !this._loaders.has('.js');
 
-      /**
-       * Accessor entry which allows / prevents config extension.
-       * @type {boolean}
-       */
-      this._allowExtends = allowExtends;
+      if (!this._cache)
+      {
+         return js ? require(filePath) :
+          this._parse(fs.readFileSync(filePath, { encode: 'utf8' }).toString(), filePath);
+      }
 
-      /**
-       * Accessor entry which allows missing default object hash values to be set.
-       * @type {boolean}
-       */
-      this._createMissing = createMissing;
+      return this._cache.load(filePath, (data) =>
+      {
+         if (js) { return _requireFresh(filePath); }
 
-      /**
-       * Accessor entry to default values.
-       * @type {object}
-       */
-      this._defaultValues = JSON.parse(JSON.stringify(defaultValues)); // Must clone to ensure not frozen.
+         return this._parse(typeof data === 'string' ? data : fs.readFileSync(filePath, 'utf8'), filePath);
+      });
+   }
 
-      /**
-       * Accessor entry to typhonjs-object-util validation entry.
-       * @type {object}
-       */
-      this._preValidate = preValidate;
+   /**
+    * Loads an NPM module by `require`. When caching a changed module is reloaded instead of returning the stale
+    * `require` result.
+    *
+    * @param {string}      moduleName The NPM module name or resolved module file path.
+    *
+    * @returns {Object} The configuration information.
+    */
+   _loadModule(moduleName)
+   {
+      if (!this._cache) { return require(moduleName); }
 
-      /**
-       * Accessor entry to typhonjs-object-util validation entry.
-       * @type {object}
-       */
-      this._postValidate = postValidate;
+      const modulePath = require.resolve(moduleName);
 
-      /**
-       * A list of strings indicating keys which will be updated to an array and merged.
-       * @type {Array<string>}
-       */
-      this._upgradeMergeList = upgradeMergeList;
+      return this._cache.load(modulePath, () => _requireFresh(modulePath));
    }
-}
 
-/**
+   /**
+    * Triggers the `config:resolver:load:post` hook for a loaded config; a hook may replace `config` of the hook data
+    * to transform the loaded config before it is validated and its `extends` entries are resolved.
+    *
+    * @param {object}         config - The loaded config.
+    *
+    * @param {string}         loadPath - The resolved load path.
+    *
+    * @param {Array<string>}  parentChain - The load paths from the root config to the config declaring the entry.
+    *
+    * @param {ResolveContext} context - The state of the current resolution.
+    *
+    * @returns {object} The loaded config or the config set by a hook.
+    */
+   _loadPost(config, loadPath, parentChain, context)
+   {
+      if (!this._eventbus) { return config; }
+
+      try
+      {
+         return this._triggerHook('config:resolver:load:post', { config, filePath: loadPath,
+          parentChain: parentChain.slice(), configName: context.configName }, 'config');
+      }
+      catch (err)
+      {
+         throw ConfigResolverError.from(err, loadPath, parentChain.concat(loadPath));
+      }
+   }
+
+   /**
+    * Triggers the `config:resolver:load:pre` hook for an `extends` path; a hook may replace `filePath` of the hook data
+    * to load another config file, NPM module or URL. Each distinct path is rewritten once per resolution, so that
+    * building the extends graph and merging load the same configs.
+    *
+    * @param {string}         extendsPath - The file path, NPM module name or URL of an `extends` entry.
+    *
+    * @param {string}         relativeTo - The directory or URL the path is resolved relative to.
+    *
+    * @param {Array<string>}  parentChain - The load paths from the root config to the config declaring the entry.
+    *
+    * @param {ResolveContext} context - The state of the current resolution.
+    *
+    * @returns {string} The `extends` path or the path set by a hook.
+    */
+   _loadPre(extendsPath, relativeTo, parentChain, context)
+   {
+      if (!this._eventbus) { return extendsPath; }
+
+      const extendsPaths = context.extendsPaths = context.extendsPaths || new Map();
+
+      const key = `${relativeTo || ''}\n${extendsPath}`;
+
+      if (!extendsPaths.has(key))
+      {
+         extendsPaths.set(key, this._triggerHook('config:resolver:load:pre', { filePath: extendsPath,
+          parentChain: parentChain.slice(), configName: context.configName }, 'filePath'));
+      }
+
+      return extendsPaths.get(key);
+   }
+
+   /**
+    * Triggers the log event on any associated plugin eventbus with the log prepend and any sensitive values masked.
+    *
+    * @param {string}          message - The log message.
+    *
+    * @param {RedactionScope}  [redaction] - The redaction scope of the resolution providing the sensitive values.
+    */
+   _log(message, redaction = void 0)
+   {
+      if (this._eventbus && this._logEvent)
+      {
+         this._eventbus.trigger(this._logEvent, this._redactor.redactMessage(`${this._logPrepend}${message}`,
+          redaction));
+      }
+   }
+
+   /**
+    * Returns the merge context passed to a merge strategy.
+    *
+    * @param {string}   key - The key of the merged values.
+    *
+    * @param {string}   keyPath - The dotted key path of the merged values.
+    *
+    * @returns {MergeContext} The merge context.
+    */
+   _mergeContext(key, keyPath)
+   {
+      return { key, keyPath, merge: (target, src, combine = false) => this._mergeValue(target, src, combine, keyPath) };
+   }
+
+   /**
+    * Triggers the `config:resolver:merge` hook after merging an `extends` element and tracks the merged layers when
+    * provenance is requested.
+    *
+    * @param {object}            config - The merged config.
+    *
+    * @param {Array<object>}     sources - The merged configs in precedence order; lowest first. Falsy entries are
+    *                                      skipped.
+    *
+    * @param {string}            loadPath - The load path of the merged `extends` element.
+    *
+    * @param {Array<string>}     parentChain - The load paths of the configs extending the element.
+    *
+    * @param {ResolveContext}    context - The state of the current resolution.
+    *
+    * @returns {object} The merged config which may be replaced by the hook.
+    */
+   _mergeExtends(config, sources, loadPath, parentChain, context)
+   {
+      const mergedConfig = this._triggerHook('config:resolver:merge', { config, filePath: loadPath,
+       parentChain: parentChain.slice(), configName: context.configName }, 'config');
+
+      // Track the merged layers in precedence order when provenance is requested.
+      if (context.layers)
+      {
+         context.layers.set(mergedConfig, [].concat(...sources.map((source) =>
+          source && context.layers.get(source) || [])));
+      }
+
+      return mergedConfig;
+   }
+
+   /**
+    * Pre-validates and merges a section of config data such as a profile section or `overrides` block on top of a
+    * resolved config with the same merge semantics as extension. Any `extends` in the section is resolved relative to
+    * the directory of the config declaring it.
+    *
+    * @param {object}   config - The resolved config object.
+    *
+    * @param {object}   section - The config data to merge.
+    *
+    * @param {string}   basePath - The directory of the config declaring the section.
+    *
+    * @param {string}   source - Describes the section for provenance.
+    *
+    * @param {ResolveContext}  context - The state of the current resolution.
+    *
+    * @returns {object} The merged config object.
+    */
+   _mergeSection(config, section, basePath, source, context)
+   {
+      // Sections are removed from the pre-validated config declaring them, so they are pre-validated when merged.
+      this.preValidate(stripDirectives(section), source, context);
+
+      if (context.report) { _setFailureSource(context.report, source); }
+
+      if (section.extends)
+      {
+         section = Object.assign({}, section);
+
+         if (this._allowExtends)
+         {
+            section = this._resolveExtends(section, basePath, { configName: context.configName });
+
+            // Restore the merge order of `_deepMerge`.
+            if (this._reversePlugins && Array.isArray(section.plugins)) { section.plugins.reverse(); }
+         }
+
+         delete section.extends;
+      }
+
+      // Resolved plugins are reversed, so a reversed copy restores the merge order of `_deepMerge`.
+      const target = this._reversePlugins && Array.isArray(config.plugins) ?
+       Object.assign({}, config, { plugins: config.plugins.slice().reverse() }) : config;
+
+      const merged = stripDirectives(this._deepMerge(target, section));
+
+      if (this._reversePlugins && Array.isArray(merged.plugins)) { merged.plugins.reverse(); }
+
+      if (context.layers)
+      {
+         context.layers.set(merged, (context.layers.get(config) || []).concat(
+          { source, config: stripDirectives(section) }));
+      }
+
+      return merged;
+   }
+
+   /**
+    * Merges two values by the default merge rules without applying any merge strategy for the key path itself.
+    *
+    * @param {*}        target - The target value.
+    *
+    * @param {*}        src - The source value which takes priority.
+    *
+    * @param {boolean}  combine - Whether to combine array elements.
+    *
+    * @param {string}   keyPath - The dotted key path of the merged values.
+    *
+    * @returns {*} The merged value.
+    */
+   _mergeValue(target, src, combine, keyPath)
+   {
+      if (Array.isArray(src) || Array.isArray(target)) { return this._deepMerge(target, src, combine, keyPath); }
+
+      if (typeof src !== 'object' || !src) { return src; }
+
+      return this._deepMerge(target || {}, src, combine, keyPath);
+   }
+
+   /**
+    * Loads a config file or NPM module and migrates it to the current version without resolving any extensions. No
+    * environment variable placeholders or `$secret` references are expanded, so that the migrated config may be
+    * written back to the file. The version key of a migrated config is set to the current version.
+    *
+    * @param {string}   filePath - The config file path relative to `cwd` or NPM module name.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters; only `cwd` is used.
+    *
+    * @returns {object} The migrated config or the loaded config if it is of the current version.
+    * @throws {ConfigResolverError} A `NOT_FOUND`, `LOAD_ERROR`, `PARSE_ERROR` or `MIGRATION_FAILED` error.
+    */
+   migrate(filePath, options = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      if (!this._migrator) { throw new Error(`'migrations' is not set in 'ConfigResolverData'.`); }
+
+      const loadPath = this._resolveLoadPath(filePath, _resolveOptions(options, {}).dirPath);
+
+      try
+      {
+         const config = this._isFilePath(filePath) || this._isDataModule(loadPath) ? this._loadFile(loadPath) :
+          this._loadModule(loadPath);
+
+         const migrated = this._migrate(config, loadPath);
+
+         if (migrated !== config) { migrated[this._migrator.versionKey] = this._migrator.currentVersion; }
+
+         return migrated;
+      }
+      catch (err)
+      {
+         throw ConfigResolverError.from(err, loadPath);
+      }
+   }
+
+   /**
+    * Migrates a config to the current version when `migrations` is set logging a deprecation notice.
+    *
+    * @param {object}   config - A loaded config.
+    *
+    * @param {string}   source - The config file path, module name or config name.
+    *
+    * @param {RedactionScope}  [redaction] - The redaction scope of the resolution providing the sensitive values.
+    *
+    * @returns {object} The config or the migrated copy.
+    */
+   _migrate(config, source, redaction = void 0)
+   {
+      if (!this._migrator) { return config; }
+
+      const { config: migrated, version, deprecations } = this._migrator.migrate(config, source);
+
+      if (migrated !== config)
+      {
+         this._log(`migrated config '${source}' from deprecated version ${version} to ${this._migrator.currentVersion}${
+          deprecations.length > 0 ? `: ${deprecations.join('; ')}` : ''}`, redaction);
+      }
+
+      return migrated;
+   }
+
+   /**
+    * Stores any associated plugin eventbus and attempts loading of . The following event bindings are available:
+    *
+    * `config:resolver:cache:clear`: Invokes `clearCache`.
+    * `config:resolver:cache:stats`: Invokes `getCacheStats`.
+    * `config:resolver:diff`: Invokes `diff`.
+    * `config:resolver:discover`: Invokes `discover`.
+    * `config:resolver:migrate`: Invokes `migrate`.
+    * `config:resolver:resolve`: Invokes `resolve`.
+    * `config:resolver:resolve:async`: Invokes `resolveAsync`.
+    * `config:resolver:resolve:file`: Invokes `resolveFile`.
+    * `config:resolver:resolve:for:file`: Invokes `resolveForFile`.
+    * `config:resolver:resolve:graph`: Invokes `resolveGraph`.
+    * `config:resolver:resolve:provenance`: Invokes `resolveProvenance`.
+    * `config:resolver:validate:pre`: Invokes `preValidate`.
+    * `config:resolver:validate:post`: Invokes `postValidate`.
+    * `config:resolver:to:redacted:json`: Invokes `toRedactedJSON`.
+    * `config:resolver:validate:report`: Invokes `resolveReport`.
+    * `config:resolver:watch`: Invokes `watch`.
+    *
+    * The following events are triggered:
+    *
+    * `config:resolver:changed`: A watched config is reloaded; receives the new config, changed key paths and config
+    * name.
+    * `config:resolver:load:pre`: Before loading each `extends` entry; receives `{ filePath, parentChain, configName }`
+    * where `filePath` is the file path, NPM module name or URL and may be rewritten by setting `filePath`.
+    * `config:resolver:load:post`: After loading each config; receives `{ config, filePath, parentChain, configName }`
+    * where `filePath` is the load path. Setting `config` transforms the config before validation.
+    * `config:resolver:merge`: After merging each extended config beneath the config extending it; receives
+    * `{ config, filePath, parentChain, configName }` where `config` is the merged config and may be replaced. When an
+    * `extends` array contains merge directives the entries are merged in precedence order instead; each on top of any
+    * lower precedence entries and the highest precedence entry beneath the config.
+    * `config:resolver:resolved`: After post-validation of the resolved config; receives
+    * `{ config, configName, loadedConfigs }` where `config` may be replaced.
+    * `config:resolver:watch:error`: A watched config fails to reload or the watch callback throws; receives the error
+    * and config name.
+    *
+    * `parentChain` lists the load paths from the root config to the config declaring the `extends` entry; it is empty
+    * for entries of the root config. Hooks are triggered synchronously with any `eventPrepend` prepended.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      const eventbus = ev.eventbus;
+      const options = ev.pluginOptions;
+
+      /**
+       * @type {EventProxy} - The plugin manager event proxy.
+       */
+      this._eventbus = eventbus;
+      this._logEvent = options.logEvent || 'log:info';
+      this._logPrepend = options.logPrepend || '';
+
+      let eventPrepend = '';
+
+      // Apply any resolver data.
+      if (typeof options.resolverData === 'object') { this.setResolverData(options.resolverData); }
+
+      // If `eventPrepend` is defined then it is prepended before all event bindings.
+      if (typeof options.eventPrepend === 'string') { eventPrepend = `${options.eventPrepend}:`; }
+
+      /**
+       * Prepended to all event bindings and triggered events.
+       * @type {string}
+       */
+      this._eventPrepend = eventPrepend;
+
+      eventbus.on(`${eventPrepend}config:resolver:cache:clear`, this.clearCache, this);
+      eventbus.on(`${eventPrepend}config:resolver:cache:stats`, this.getCacheStats, this);
+      eventbus.on(`${eventPrepend}config:resolver:diff`, this.diff, this);
+      eventbus.on(`${eventPrepend}config:resolver:discover`, this.discover, this);
+      eventbus.on(`${eventPrepend}config:resolver:migrate`, this.migrate, this);
+      eventbus.on(`${eventPrepend}config:resolver:resolve`, this.resolve, this);
+      eventbus.on(`${eventPrepend}config:resolver:resolve:async`, this.resolveAsync, this);
+      eventbus.on(`${eventPrepend}config:resolver:resolve:file`, this.resolveFile, this);
+      eventbus.on(`${eventPrepend}config:resolver:resolve:for:file`, this.resolveForFile, this);
+      eventbus.on(`${eventPrepend}config:resolver:resolve:graph`, this.resolveGraph, this);
+      eventbus.on(`${eventPrepend}config:resolver:resolve:provenance`, this.resolveProvenance, this);
+      eventbus.on(`${eventPrepend}config:resolver:to:redacted:json`, this.toRedactedJSON, this);
+      eventbus.on(`${eventPrepend}config:resolver:validate:pre`, this.preValidate, this);
+      eventbus.on(`${eventPrepend}config:resolver:validate:post`, this.postValidate, this);
+      eventbus.on(`${eventPrepend}config:resolver:validate:report`, this.resolveReport, this);
+      eventbus.on(`${eventPrepend}config:resolver:watch`, this.watch, this);
+   }
+
+   /**
+    * Parses config file data with the loader registered for the file extension of `filePath`. Files with an
+    * unregistered extension are parsed as JSON with comments stripped.
+    *
+    * @param {string}   data - The config file contents.
+    *
+    * @param {string}   filePath - The config file path.
+    *
+    * @returns {Object} The parsed config.
+    * @throws {ConfigResolverError} A `PARSE_ERROR` locating the error in the file contents.
+    */
+   _parse(data, filePath)
+   {
+      const loader = this._loaders.get(path.extname(_isURL(filePath) ? new url.URL(filePath).pathname : filePath)) ||
+       loadJSON;
+
+      try
+      {
+         return loader(data, filePath);
+      }
+      catch (err)
+      {
+         throw ConfigResolverError.fromParseError(err, data, filePath);
+      }
+   }
+
+   /**
+    * Validates a config object for any missing or incorrect parameters after resolving.
+    *
+    * @param {object}   config - A config object to validate.
+    *
+    * @param {string}   [configName='config'] - Optional name of the config object.
+    *
+    * @param {ResolveContext}  [context] - Any state of the current resolution; the config layers determine the source
+    *                                      config of schema violations. When the context has a validation report all
+    *                                      failures are added to the report instead.
+    *
+    * @throws {ConfigResolverError} A `VALIDATION_FAILED` error.
+    */
+   postValidate(config, configName = 'config', context = {})
+   {
+      if (context.report) { this._collectFailures(config, configName, 'post', context); return; }
+
+      if (this._schema.post)
+      {
+         const layers = (context.layers && context.layers.get(config)) || [];
+
+         this._validateSchema(config, this._schema.post, configName, layers);
+      }
+
+      if (this._postValidate) { _validate(config, this._postValidate, configName); }
+   }
+
+   /**
+    * Completes resolution of a config object after any extensions are resolved by merging any profile sections and
+    * matching `overrides` blocks, applying environment variable overrides, setting default values and performing
+    * post-validation. With the `frozen` option a `ResolvedConfig` is returned.
+    *
+    * @param {object}   config - A config object with any extensions resolved.
+    *
+    * @param {string}   configName - Name of the config object.
+    *
+    * @param {string}   dirPath - The directory of the root config object.
+    *
+    * @param {ResolveContext}  context - The state of the current resolution.
+    *
+    * @returns {object|ResolvedConfig} The resolved config object.
+    * @private
+    */
+   _postResolve(config, configName, dirPath, context)
+   {
+      // Merge directives without a target value; IE of a root config without `extends` are removed.
+      const stripped = stripDirectives(config);
+
+      if (stripped !== config && context.layers) { context.layers.set(stripped, context.layers.get(config)); }
+
+      config = stripped;
+
+      if (context.profile) { config = this._applyProfile(config, dirPath, context); }
+
+      if (typeof context.targetFile === 'string') { config = this._applyOverrides(config, dirPath, context); }
+
+      const envOverrides = this._applyEnvOverrides(config);
+
+      if (envOverrides) { this._redactor.collect(context.redaction, envOverrides); }
+
+      if (context.layers && envOverrides)
+      {
+         context.layers.set(config, (context.layers.get(config) || []).concat(
+          { source: `env:${this._envPrefix}`, config: envOverrides }));
+      }
+
+      this.setDefaultValues(config);
+
+      this.postValidate(config, configName, context);
+
+      // In the `collect` validation mode resolution fails after every config is validated.
+      if (context.report && context.report.length > 0 && !context.returnReport)
+      {
+         throw new ConfigResolverError('VALIDATION_FAILED', `'${configName}' failed validation:\n${
+          context.report.map((failure) => `   [${failure.stage}] ${failure.keyPath || '.'}: ${failure.message} (${
+           failure.source})`).join('\n')}`, { report: context.report });
+      }
+
+      const layers = context.layers ? context.layers.get(config) : void 0;
+
+      config = this._triggerHook('config:resolver:resolved', { config, configName,
+       loadedConfigs: this._allowExtends && Array.isArray(config.extends) ? config.extends.slice() : [] }, 'config');
+
+      const result = context.frozen ? this._freeze(config, configName, layers || []) : config;
+
+      // Expanded secrets are masked at their key paths by `toRedactedJSON`.
+      if (context.redaction.keyPaths.size > 0) { this._redactionScopes.set(result, context.redaction); }
+
+      return result;
+   }
+
+   /**
+    * Validates a config object for any missing or incorrect parameters before and during resolving extended config
+    * data.
+    *
+    * @param {object}   config - A config object to validate.
+    *
+    * @param {string}   [configName='config'] - Optional name of the config object.
+    *
+    * @param {ResolveContext}  [context] - Any state of the current resolution. When the context has a validation report
+    *                                      all failures are added to the report instead.
+    *
+    * @throws {ConfigResolverError} A `VALIDATION_FAILED` error.
+    */
+   preValidate(config, configName = 'config', context = {})
+   {
+      if (context.report) { this._collectFailures(config, configName, 'pre', context); return; }
+
+      if (this._preValidate) { _validate(config, this._preValidate, configName); }
+
+      if (this._schema.pre) { this._validateSchema(config, this._schema.pre, configName); }
+   }
+
+   /**
+    * Prepares a config object for resolution of any extensions by initializing the resolution state, migrating an
+    * older config version, expanding any environment variable placeholders and `$secret` references, removing profile
+    * sections / `overrides` blocks and performing pre-validation.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string}   configName - Name of the config object.
+    *
+    * @param {string}   dirPath - The directory of the root config object.
+    *
+    * @param {ResolveContext}  context - The state of the current resolution which is initialized.
+    *
+    * @returns {object} The config object or a copy ready to resolve extensions.
+    * @private
+    */
+   _preResolve(config, configName, dirPath, context)
+   {
+      if (typeof config !== 'object') { throw new TypeError(`'config' is not an 'object'.`); }
+
+      context.configName = configName;
+
+      if (!context.redaction) { context.redaction = this._redactor.createScope(); }
+
+      // Profile sections are only merged when `profileKey` is set.
+      if (typeof this._profileKey === 'undefined') { context.profile = null; }
+      else if (typeof context.profile === 'undefined') { context.profile = process.env.NODE_ENV; }
+
+      if (this._validationMode === 'collect' && !context.report) { context.report = []; }
+
+      // Profile sections are merged from the tracked config layers which also locate post-validation failures and the
+      // source of `ResolvedConfig` values.
+      if ((context.profile || this._schema.post || context.report || context.frozen) && !context.layers)
+      {
+         context.layers = new WeakMap();
+      }
+
+      // A root config loaded by `resolveFile` is migrated and expanded when loaded.
+      if (!context.rootLoaded)
+      {
+         config = this._expandSecrets(this._interpolateEnv(this._migrate(config, configName, context.redaction),
+          configName), configName, dirPath, context.redaction);
+      }
+
+      if (context.layers)
+      {
+         context.layers.set(config, [{ source: configName, config: this._layerConfig(config) }]);
+      }
+
+      config = this._stripSections(config, context);
+
+      this.preValidate(stripDirectives(config), configName, context);
+
+      if (context.report) { _setFailureSource(context.report, configName); }
+
+      return config;
+   }
+
+   /**
+    * Asynchronously loads in parallel all config data referenced by the "extends" field of a config object and
+    * recursively any config data it extends. No merging is performed; `_applyExtends` is subsequently run with the
+    * loaded data, so that the merged result and load order is identical to synchronous resolution.
+    *
+    * @param {Object}      config The configuration information.
+    *
+    * @param {string}      filePath The file path from which the configuration information was loaded.
+    *
+    * @param {string}      [relativeTo] The path to resolve relative to.
+    *
+    * @param {Map<string, Promise<Object>>}  [loading] - Tracks config data being loaded keyed by load path.
+    *
+    * @param {string[]}    [loadChain] - The load paths of the config files leading to this config.
+    *
+    * @param {ResolveContext}  [context] - The state of the current resolution.
+    *
+    * @returns {Promise<Map<string, Promise<Object>>>} The config data being loaded keyed by load path.
+    */
+   _preloadExtends(config, filePath, relativeTo, loading = new Map(), loadChain = [], context = {})
+   {
+      if (!config || !config.extends) { return Promise.resolve(loading); }
+
+      const configExtends = Array.isArray(config.extends) ? config.extends : [config.extends];
+
+      return Promise.all(configExtends.map((entry) =>
+      {
+         const { name, integrity } = _extendsEntry(entry);
+
+         const parentPath = this._loadPre(this._extendsPath(name, filePath, relativeTo), relativeTo, loadChain,
+          context);
+
+         const loadPath = this._resolveLoadPath(parentPath, relativeTo);
+
+         // Already loading or loaded; also prevents circular dependencies.
+         if (loading.has(loadPath)) { return void 0; }
+
+         const parentChain = loadChain.concat(loadPath);
+
+         // Executable configs are checked before loading.
+         if (this._trust)
+         {
+            this._checkTrust(name, loadPath, loadChain.length > 0 ? loadChain[loadChain.length - 1] :
+             context.configName || 'config', parentChain);
+         }
+
+         const promise = this._loadAsync(parentPath, relativeTo, integrity, context.redaction).then((parentConfig) =>
+          this._loadPost(parentConfig, loadPath, loadChain, context)).catch((err) =>
+         {
+            err = ConfigResolverError.from(err, loadPath, parentChain);
+
+            // Add the sequence of loaded config files so the user is able to see where the error occurred.
+            err.message += `\nReferenced from: \n${parentChain.join('\n')}`;
+
+            throw err;
+         });
+
+         loading.set(loadPath, promise);
+
+         return promise.then((parentConfig) => this._preloadExtends(parentConfig, parentPath, _extendsBase(loadPath),
+          loading, parentChain, context));
+      })).then(() => loading);
+   }
+
+   /**
+    * Masks sensitive values in the message, stack, code frame and validation failures of an error.
+    *
+    * @param {Error}    err - An error thrown during resolution.
+    *
+    * @param {RedactionScope}  [redaction] - The redaction scope of the resolution providing the sensitive values.
+    *
+    * @returns {Error} The error.
+    */
+   _redactError(err, redaction = void 0)
+   {
+      if (!(err instanceof Error)) { return err; }
+
+      err.message = this._redactor.redactMessage(err.message, redaction);
+      err.stack = this._redactor.redactMessage(err.stack, redaction);
+
+      if (err instanceof ConfigResolverError)
+      {
+         err.codeFrame = this._redactor.redactMessage(err.codeFrame, redaction);
+
+         for (const violation of err.violations)
+         {
+            violation.actual = this._redactor.redact(violation.actual, _keyPath(pointerSegments(violation.pointer)),
+             redaction);
+            violation.message = this._redactor.redactMessage(violation.message, redaction);
+         }
+
+         if (err.report) { this._redactFailures(err.report, redaction); }
+      }
+
+      return err;
+   }
+
+   /**
+    * Masks sensitive actual values and messages of validation failures.
+    *
+    * @param {Array<ValidationFailure>}   failures - Validation failures.
+    *
+    * @param {RedactionScope}  [redaction] - The redaction scope of the resolution providing the sensitive values.
+    */
+   _redactFailures(failures, redaction = void 0)
+   {
+      for (const failure of failures)
+      {
+         failure.actual = this._redactor.redact(failure.actual, failure.keyPath, redaction);
+         failure.message = this._redactor.redactMessage(failure.message, redaction);
+      }
+   }
+
+   /**
+    * Registers a loader for one or more file extensions replacing any existing loader for the given extensions.
+    *
+    * @param {string|string[]}   extensions - File extensions including the leading `.`; IE `['.yaml', '.yml']`.
+    *
+    * @param {function(string, string): Object|string} loader - A function which receives the config file contents
+    *                                                             and file path returning the parsed config object or
+    *                                                             the name / path of a module exporting the function.
+    */
+   registerLoader(extensions, loader)
+   {
+      if (typeof extensions === 'string') { extensions = [extensions]; }
+
+      if (!Array.isArray(extensions)) { throw new TypeError(`'extensions' is not a 'string' or 'array'.`); }
+
+      if (typeof loader === 'string')
+      {
+         const module = require(loader);
+
+         loader = typeof module.default === 'function' ? module.default : module;
+      }
+
+      if (typeof loader !== 'function') { throw new TypeError(`'loader' is not a 'function'.`); }
+
+      for (const ext of extensions)
+      {
+         if (typeof ext !== 'string' || !ext.startsWith('.'))
+         {
+            throw new TypeError(`'extensions' entry '${ext}' is not a 'string' starting with '.'.`);
+         }
+      }
+
+      for (const ext of extensions) { this._loaders.set(ext, loader); }
+
+      // Cached config data may have been parsed by a replaced loader.
+      this.clearCache();
+   }
+
+   /**
+    * Resolves any config extension and sets missing default config values.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string|ResolveOptions}  [configName='config'] - Optional name of the config object or the options.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters.
+    *
+    * @override
+    */
+   resolve(config, configName = 'config', options = {})
+   {
+      const { name, dirPath, profile, frozen } = _resolveOptions(configName, options);
+
+      return this._resolve(config, name, dirPath, { frozen, profile });
+   }
+
+   /**
+    * Resolves a config object in the same manner as `resolve` additionally returning the dependency graph of the
+    * `extends` entries. The graph is exported for debugging by `toJSON` or `toDOT`.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string|ResolveOptions}  [configName='config'] - Optional name of the config object or the options.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters.
+    *
+    * @returns {{config: object, graph: ExtendsGraph}} The resolved config and its extends graph.
+    */
+   resolveGraph(config, configName = 'config', options = {})
+   {
+      const { name, dirPath, profile } = _resolveOptions(configName, options);
+
+      const context = { profile };
+
+      const resolvedConfig = this._resolve(config, name, dirPath, context);
+
+      return { config: resolvedConfig, graph: context.graph || new ExtendsGraph(name) };
+   }
+
+   /**
+    * Resolves a config object in the same manner as `resolve` additionally tracking the provenance of each resolved
+    * value; IE which config file or module supplied the final value and which config files it overrode.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string|ResolveOptions}  [configName='config'] - Optional name of the config object or the options.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters.
+    *
+    * @returns {{config: object, provenance: ConfigProvenance}} The resolved config and its provenance.
+    */
+   resolveProvenance(config, configName = 'config', options = {})
+   {
+      const { name, dirPath, profile } = _resolveOptions(configName, options);
+
+      const context = { layers: new WeakMap(), profile };
+
+      const resolvedConfig = this._resolve(config, name, dirPath, context);
+
+      // Elements of arrays combined by merge strategies are attributed by value.
+      const combined = [mergeUpgrade].concat(['append', 'prepend', 'union'].map((name) =>
+       builtinMergeStrategies.get(name)));
+
+      const upgradeMergeList = Array.from(this._mergeStrategies.keys()).filter((key) =>
+       combined.indexOf(this._mergeStrategies.get(key)) >= 0).map((key) => key.split('.').pop());
+
+      const provenance = new ConfigProvenance(resolvedConfig, context.layers.get(resolvedConfig) || [],
+       { upgradeMergeList });
+
+      return { config: resolvedConfig, provenance };
+   }
+
+   /**
+    * Resolves a config object in the same manner as `resolve` in the `collect` validation mode returning a report of
+    * every pre and post-validation failure instead of throwing. Failures list the key path, expected type or rule,
+    * actual value and the config file, module or config name supplying the value. Sensitive actual values are masked.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string|ResolveOptions}  [configName='config'] - Optional name of the config object or the options.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters.
+    *
+    * @returns {{config: object, report: ValidationReport}} The resolved config and validation report.
+    */
+   resolveReport(config, configName = 'config', options = {})
+   {
+      const { name, dirPath, profile } = _resolveOptions(configName, options);
+
+      const context = { profile, report: [], returnReport: true };
+
+      const resolvedConfig = this._resolve(config, name, dirPath, context);
+
+      this._redactFailures(context.report, context.redaction);
+
+      return { config: resolvedConfig, report: { valid: context.report.length === 0, failures: context.report } };
+   }
+
+   /**
+    * Provides config resolution implementation resolving any config extension relative to the given directory.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string}   configName - Name of the config object.
+    *
+    * @param {string}   dirPath - The directory to resolve any extensions relative to.
+    *
+    * @param {ResolveContext}  [context] - Any initial state of the resolution.
+    *
+    * @returns {object} The resolved config object.
+    * @private
+    */
+   _resolve(config, configName, dirPath, context = {})
+   {
+      try
+      {
+         config = this._preResolve(config, configName, dirPath, context);
+
+         const resolvedConfig = this._allowExtends ? this._resolveExtends(config, dirPath, context) : config;
+
+         return this._postResolve(resolvedConfig, configName, dirPath, context);
+      }
+      catch (err)
+      {
+         throw this._redactError(err, context.redaction);
+      }
+   }
+
+   /**
+    * Loads a config file or NPM module and resolves it in the same manner as `resolve`. Relative `extends` entries and
+    * NPM modules are resolved relative to the directory of the loaded file. The config name defaults to the load path.
+    * A bare name such as `config.json` is a file path; it is only loaded as an NPM module when no such file exists.
+    *
+    * @param {string}   filePath - The config file path relative to `cwd` or an NPM module name.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters; `filePath` is ignored.
+    *
+    * @returns {object|ResolvedConfig} The resolved config object.
+    * @throws {ConfigResolverError} A `NOT_FOUND`, `LOAD_ERROR` or `PARSE_ERROR` error if the file can not be loaded.
+    */
+   resolveFile(filePath, options = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const { dirPath, profile, frozen } = _resolveOptions(options, {});
+
+      const fileLoadPath = path.resolve(dirPath, filePath);
+
+      let loadPath = _isURL(filePath) ? filePath : fileLoadPath;
+
+      if (!_isURL(filePath) && !this._isFilePath(filePath) && !_isFile(fileLoadPath))
+      {
+         const modulePath = this._resolveLoadPath(filePath, dirPath);
+
+         if (path.isAbsolute(modulePath)) { loadPath = modulePath; }
+      }
+
+      const redaction = this._redactor.createScope();
+
+      const config = this._loadData(loadPath === fileLoadPath ? loadPath : filePath, loadPath,
+       { extendsChain: [loadPath], redaction });
+
+      if (typeof config !== 'object' || config === null)
+      {
+         throw new ConfigResolverError('LOAD_ERROR', `'${loadPath}' is not a config object.`, { filePath: loadPath });
+      }
+
+      return this._resolve(config, options.configName || loadPath, _extendsBase(loadPath) || dirPath,
+       { frozen, profile, redaction, rootLoaded: true });
+   }
+
+   /**
+    * Resolves a config object for a specific file in the same manner as `resolve` additionally merging all
+    * `overrides` blocks with `files` glob patterns matching the file path and no matching `excludedFiles` patterns.
+    * Blocks declared in extended config files match relative to the directory of the declaring file. The `overrides`
+    * entry is removed from the resolved config.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string}   filePath - The path of the file to resolve configuration for.
+    *
+    * @param {string|ResolveOptions}  [configName='config'] - Optional name of the config object or the options.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters.
+    *
+    * @returns {object|ResolvedConfig} The resolved config object.
+    */
+   resolveForFile(config, filePath, configName = 'config', options = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const { name, dirPath, profile, frozen } = _resolveOptions(configName, options);
+
+      return this._resolve(config, name, dirPath,
+       { frozen, layers: new WeakMap(), profile, targetFile: path.resolve(filePath) });
+   }
+
+   /**
+    * Resolves any config extension and sets missing default config values asynchronously. Sibling `extends` entries
+    * are loaded in parallel and ES Modules are supported. The resolved config and `extends` load order is identical to
+    * `resolve`.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string|ResolveOptions}  [configName='config'] - Optional name of the config object or the options.
+    *
+    * @param {ResolveOptions}  [options] - Optional parameters.
+    *
+    * @returns {Promise<object|ResolvedConfig>} The resolved config object.
+    */
+   resolveAsync(config, configName = 'config', options = {})
+   {
+      if (typeof config !== 'object') { return Promise.reject(new TypeError(`'config' is not an 'object'.`)); }
+
+      let dirPath, frozen, name, profile;
+
+      const context = {};
+
+      return Promise.resolve().then(() =>
+      {
+         ({ name, dirPath, profile, frozen } = _resolveOptions(configName, options));
+
+         Object.assign(context, { frozen, profile });
+
+         config = this._preResolve(config, name, dirPath, context);
+
+         return this._allowExtends ? this._resolveExtendsAsync(config, dirPath, context) : config;
+      }).then((resolvedConfig) => this._postResolve(resolvedConfig, name, dirPath, context)).catch((err) =>
+      {
+         throw this._redactError(err, context.redaction);
+      });
+   }
+
+   /**
+    * Provides config extension implementation.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string}   [dirPath=process.cwd()] - The directory to resolve any extensions relative to.
+    *
+    * @param {ResolveContext}  [context] - Any initial state of the resolution.
+    *
+    * @returns {*}
+    * @private
+    */
+   _resolveExtends(config, dirPath = process.cwd(), context = {})
+   {
+      if (!config.extends) { return config; }
+
+      const loadedConfigs = [];
+
+      let resolvedConfig;
+
+      try
+      {
+         context.graph = this._buildGraph(config, dirPath, context);
+
+         context = Object.assign({ validate: this.preValidate.bind(this) }, context, { loadedConfigs });
+
+         resolvedConfig = this._applyExtends(config, dirPath, dirPath, context);
+      }
+      catch (err)
+      {
+         const chain = err instanceof ConfigResolverError && err.extendsChain.length > 0 ? err.extendsChain :
+          loadedConfigs;
+
+         // Add the sequence of loaded config files so the user is able to see where the error occurred.
+         err.message += `\nReferenced from: \n${chain.join('\n')}`;
+
+         throw err;
+      }
+
+      // Replace any merged `extends` entries with the resolved loaded order / extends entries.
+      if (loadedConfigs.length > 0)
+      {
+         delete resolvedConfig.extends;
+
+         resolvedConfig.extends = loadedConfigs;
+      }
+
+      // Reverse plugin order so that the earliest plugins in extended config chains appear first.
+      if (this._reversePlugins && Array.isArray(resolvedConfig.plugins)) { resolvedConfig.plugins.reverse(); }
+
+      return resolvedConfig;
+   }
+
+   /**
+    * Provides asynchronous config extension implementation. All extended config data is loaded first then merged
+    * by `_resolveExtends`.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string}   [dirPath=process.cwd()] - The directory to resolve any extensions relative to.
+    *
+    * @param {ResolveContext}  [context] - Any initial state of the resolution.
+    *
+    * @returns {Promise<*>}
+    * @private
+    */
+   _resolveExtendsAsync(config, dirPath = process.cwd(), context = {})
+   {
+      if (!config.extends) { return Promise.resolve(config); }
+
+      return this._preloadExtends(config, dirPath, dirPath, new Map(), [], context).then((loading) =>
+      {
+         const loadPaths = Array.from(loading.keys());
+
+         return Promise.all(Array.from(loading.values())).then((configs) =>
+         {
+            const preloaded = new Map();
+
+            loadPaths.forEach((loadPath, index) => preloaded.set(loadPath, configs[index]));
+
+            return this._resolveExtends(config, dirPath, Object.assign({}, context, { preloaded }));
+         });
+      });
+   }
+
+   /**
+    * Returns the path used to load a config file or NPM module. File paths are resolved relative to `relativeTo`. NPM
+    * module names are expanded by any `sharedConfigPrefix` and resolved to the module file relative to `relativeTo`;
+    * the directory of the declaring config. Module names which can not be resolved are returned expanded, so that
+    * loading fails with the module name.
+    *
+    * @param {string}      filePath The filename or package name to load the configuration information from.
+    *
+    * @param {string}      [relativeTo] The path to resolve relative to.
+    *
+    * @returns {string} The load path.
+    * @throws {ConfigResolverError} An `UNTRUSTED` error for a file path or NPM module relative to a remote config.
+    */
+   _resolveLoadPath(filePath, relativeTo = '')
+   {
+      if (_isURL(filePath)) { return filePath; }
+
+      // Entries of remote configs; IE rewritten by a `config:resolver:load:pre` hook, may only load URLs.
+      if (_isURL(relativeTo)) { throw _untrustedRemoteEntry(filePath, relativeTo); }
+
+      if (this._isFilePath(filePath)) { return path.resolve(relativeTo || '', filePath); }
+
+      const moduleName = this._sharedConfigPrefix ? _expandSharedConfig(filePath, this._sharedConfigPrefix) : filePath;
+
+      try
+      {
+         return require.resolve(moduleName, { paths: [relativeTo || process.cwd()] });
+      }
+      catch (err)
+      {
+         return moduleName;
+      }
+   }
+
+   /**
+    * Removes the profile sections of a loaded config and when resolving for a file any `overrides` blocks, so that
+    * they are not merged with extended configs. Both are merged from the tracked config layers after extensions are
+    * resolved.
+    *
+    * @param {object}            config - A loaded config.
+    *
+    * @param {ResolveContext}    context - The state of the current resolution.
+    *
+    * @returns {object} The config or a copy without profile sections / `overrides` blocks.
+    * @private
+    */
+   _stripSections(config, context)
+   {
+      if (typeof config !== 'object' || config === null) { return config; }
+
+      const stripOverrides = typeof context.targetFile === 'string' && typeof config.overrides !== 'undefined';
+      const stripProfiles = typeof this._profileKey === 'string' && _isObject(config[this._profileKey]);
+
+      if (!stripOverrides && !stripProfiles) { return config; }
+
+      const layers = context.layers ? context.layers.get(config) : void 0;
+
+      config = Object.assign({}, config);
+
+      if (stripOverrides) { delete config.overrides; }
+      if (stripProfiles) { delete config[this._profileKey]; }
+
+      if (layers) { context.layers.set(config, layers); }
+
+      return config;
+   }
+
+   /**
+    * Sets default config values.
+    *
+    * @param {object}   config - A config object to set default values that do not already exist.
+    */
+   setDefaultValues(config)
+   {
+      if (this._defaultValues)
+      {
+         ObjectUtil.safeSetAll(config, this._defaultValues, 'set-undefined', this._createMissing);
+      }
+   }
+
+   /**
+    * Sets any associated log prepend string.
+    *
+    * @param {string}   logPrepend - A string to prepend to any log statements.
+    */
+   setLogPrepend(logPrepend = '')
+   {
+      if (typeof logPrepend !== 'string') { throw new TypeError('logPrepend is not a string.'); }
+
+      this._logPrepend = logPrepend;
+   }
+
+   /**
+    * Sets the config resolver data.
+    *
+    * Note: For values of ConfigResolverData not set empty defaults are provided. Any `loaders` are registered in
+    * addition to the built-in loaders.
+    */
+   setResolverData({ allowExtends = true, cache = false, createMissing = true, defaultValues = {}, envPrefix = void 0,
+    interpolateEnv = true, loaders = {}, mergeStrategies = {}, migrations = void 0, preValidate = {},
+     postValidate = {}, profileKey = void 0, remote = {}, schema = {}, sensitiveKeys = [],
+      sharedConfigPrefix = void 0, trust = void 0, upgradeMergeList = [], validationMode = 'throw' } = {})
+   {
+      if (typeof allowExtends !== 'boolean') { throw new TypeError(`'allowExtends' is not a 'boolean'.`); }
+      if (typeof cache !== 'boolean' && cache !== 'mtime' && cache !== 'hash')
+      {
+         throw new TypeError(`'cache' is not a 'boolean', 'mtime' or 'hash'.`);
+      }
+      if (typeof createMissing !== 'boolean') { throw new TypeError(`'createMissing' is not a 'boolean'.`); }
+      if (typeof defaultValues !== 'object') { throw new TypeError(`'defaultValues' is not an 'object'.`); }
+      if (typeof envPrefix !== 'undefined' && typeof envPrefix !== 'string')
+      {
+         throw new TypeError(`'envPrefix' is not a 'string'.`);
+      }
+      if (typeof interpolateEnv !== 'boolean') { throw new TypeError(`'interpolateEnv' is not a 'boolean'.`); }
+      if (typeof loaders !== 'object') { throw new TypeError(`'loaders' is not an 'object'.`); }
+      if (typeof mergeStrategies !== 'object') { throw new TypeError(`'mergeStrategies' is not an 'object'.`); }
+      if (typeof migrations !== 'undefined' && (typeof migrations !== 'object' || migrations === null))
+      {
+         throw new TypeError(`'migrations' is not an 'object'.`);
+      }
+      if (typeof preValidate !== 'object') { throw new TypeError(`'preValidate' is not an 'object'.`); }
+      if (typeof postValidate !== 'object') { throw new TypeError(`'postValidate' is not an 'object'.`); }
+      if (typeof profileKey !== 'undefined' && typeof profileKey !== 'string')
+      {
+         throw new TypeError(`'profileKey' is not a 'string'.`);
+      }
+      if (typeof remote !== 'object' || remote === null) { throw new TypeError(`'remote' is not an 'object'.`); }
+      if (typeof schema !== 'object' || schema === null) { throw new TypeError(`'schema' is not an 'object'.`); }
+      if (typeof schema.pre !== 'undefined' && typeof schema.pre !== 'object' && typeof schema.pre !== 'boolean')
+      {
+         throw new TypeError(`'schema.pre' is not an 'object'.`);
+      }
+      if (typeof schema.post !== 'undefined' && typeof schema.post !== 'object' && typeof schema.post !== 'boolean')
+      {
+         throw new TypeError(`'schema.post' is not an 'object'.`);
+      }
+      if (typeof sharedConfigPrefix !== 'undefined' && typeof sharedConfigPrefix !== 'string')
+      {
+         throw new TypeError(`'sharedConfigPrefix' is not a 'string'.`);
+      }
+      if (typeof trust !== 'undefined' && (typeof trust !== 'object' || trust === null))
+      {
+         throw new TypeError(`'trust' is not an 'object'.`);
+      }
+      if (!Array.isArray(upgradeMergeList)) { throw new TypeError(`'upgradeMergeList' is not an 'array'.`); }
+      if (validationMode !== 'throw' && validationMode !== 'collect')
+      {
+         throw new TypeError(`'validationMode' is not 'throw' or 'collect'.`);
+      }
+
+      /**
+       * Accessor entry which allows / prevents config extension.
+       * @type {boolean}
+       */
+      this._allowExtends = allowExtends;
+
+      /**
+       * Any cache of loaded config data.
+       * @type {ConfigCache|undefined}
+       */
+      this._cache = cache ? new ConfigCache(cache === 'hash' ? 'hash' : 'mtime') : void 0;
+
+      /**
+       * Accessor entry which allows missing default object hash values to be set.
+       * @type {boolean}
+       */
+      this._createMissing = createMissing;
+
+      /**
+       * Accessor entry to default values.
+       * @type {object}
+       */
+      this._defaultValues = JSON.parse(JSON.stringify(defaultValues)); // Must clone to ensure not frozen.
+
+      /**
+       * Prefix of environment variables overriding nested keys of the resolved config.
+       * @type {string|undefined}
+       */
+      this._envPrefix = envPrefix;
+
+      /**
+       * Accessor entry which enables expanding environment variable placeholders.
+       * @type {boolean}
+       */
+      this._interpolate = interpolateEnv;
+
+      /**
+       * Any migrator upgrading configs of older config format versions.
+       * @type {ConfigMigrator|undefined}
+       */
+      this._migrator = migrations ? new ConfigMigrator(migrations) : void 0;
+
+      /**
+       * Config file loaders keyed by file extension.
+       * @type {Map<string, function(string, string): Object>}
+       */
+      this._loaders = createDefaultLoaders();
+
+      for (const ext in loaders)
+      {
+         if (loaders.hasOwnProperty(ext)) { this.registerLoader(ext, loaders[ext]); }
+      }
+
+      /**
+       * Accessor entry to typhonjs-object-util validation entry.
+       * @type {object}
+       */
+      this._preValidate = preValidate;
+
+      /**
+       * Accessor entry to typhonjs-object-util validation entry.
+       * @type {object}
+       */
+      this._postValidate = postValidate;
+
+      /**
+       * The key of the profile sections in a config.
+       * @type {string}
+       */
+      this._profileKey = profileKey;
+
+      /**
+       * Fetches and caches remote configs.
+       * @type {RemoteConfigLoader}
+       */
+      this._remote = new RemoteConfigLoader(remote);
+
+      /**
+       * JSON Schemas validating each loaded config (`pre`) and the resolved config (`post`).
+       * @type {{pre: object|boolean|undefined, post: object|boolean|undefined}}
+       */
+      this._schema = { pre: schema.pre, post: schema.post };
+
+      /**
+       * Masks expanded secrets and the values of sensitive keys.
+       * @type {Redactor}
+       */
+      this._redactor = new Redactor(sensitiveKeys);
+
+      /**
+       * The redaction scopes of resolved configs with expanded secrets.
+       * @type {WeakMap<object, RedactionScope>}
+       */
+      this._redactionScopes = new WeakMap();
+
+      /**
+       * The name prefix of shareable config NPM modules; IE `myapp-config`.
+       * @type {string|undefined}
+       */
+      this._sharedConfigPrefix = sharedConfigPrefix;
+
+      /**
+       * Any trust policy restricting which executable configs may be loaded by `extends`.
+       * @type {TrustPolicy|undefined}
+       */
+      this._trust = trust ? new TrustPolicy(trust) : void 0;
+
+      /**
+       * A list of strings indicating keys which will be updated to an array and merged.
+       * @type {Array<string>}
+       */
+      this._upgradeMergeList = upgradeMergeList;
+
+      /**
+       * Merge strategies keyed by dotted key path or key name including the `plugins` and `upgradeMergeList` defaults.
+       * @type {Map<string, function(*, *, MergeContext): *>}
+       */
+      this._mergeStrategies = createMergeStrategies(mergeStrategies, upgradeMergeList);
+
+      /**
+       * Merge strategy entries as set; function entries are not included by `getResolverData`.
+       * @type {object<string, string|function>}
+       */
+      this._mergeStrategyData = mergeStrategies;
+
+      /**
+       * Whether `plugins` are merged by the default strategy which requires reversing resolved plugins.
+       * @type {boolean}
+       */
+      this._reversePlugins = this._mergeStrategies.get('plugins') === mergePlugins;
+
+      /**
+       * Whether validation throws on the first failure (`throw`) or resolution continues and fails with a report of
+       * every failure (`collect`).
+       * @type {string}
+       */
+      this._validationMode = validationMode;
+   }
+
+   /**
+    * Validates a config object against a JSON Schema throwing a `VALIDATION_FAILED` error reporting every violation.
+    * The source config of each violation is the highest precedence config layer setting the violating value.
+    *
+    * @param {object}   config - A config object to validate.
+    *
+    * @param {object|boolean}  schema - A JSON Schema.
+    *
+    * @param {string}   configName - Name of the config object.
+    *
+    * @param {Array<{source: string, config: object}>} [layers] - The config layers of a resolved config. When defined
+    *                                                              any `default` of missing properties is applied.
+    */
+   _validateSchema(config, schema, configName, layers = void 0)
+   {
+      const violations = validateSchema(config, schema, { applyDefaults: Array.isArray(layers) });
+
+      if (violations.length === 0) { return; }
+
+      if (Array.isArray(layers))
+      {
+         for (const violation of violations)
+         {
+            violation.source = _layerSource(layers, pointerSegments(violation.pointer)) || configName;
+         }
+      }
+
+      throw new ConfigResolverError('VALIDATION_FAILED', `'${configName}' does not match the schema:\n${
+       violations.map((violation) => `   ${violation.pointer || '/'}: ${violation.message}${
+        violation.source ? ` (${violation.source})` : ''}`).join('\n')}`, { violations });
+   }
+
+   /**
+    * Returns a copy of a config object with the values of sensitive keys masked; IE to log a resolved config. Secrets
+    * expanded when resolving the config object are masked at the key paths they were expanded at.
+    *
+    * @param {object}   config - A config object.
+    *
+    * @returns {object} The redacted copy.
+    */
+   toRedactedJSON(config)
+   {
+      if (typeof config !== 'object' || config === null) { throw new TypeError(`'config' is not an 'object'.`); }
+
+      return this._redactor.redact(JSON.parse(JSON.stringify(config)), '', this._redactionScopes.get(config));
+   }
+
+   /**
+    * Triggers an event on any associated plugin eventbus with any `eventPrepend` prepended.
+    *
+    * @param {string}   eventName - The event name.
+    *
+    * @param {...*}     args - Event arguments.
+    */
+   _triggerEvent(eventName, ...args)
+   {
+      if (this._eventbus) { this._eventbus.trigger(`${this._eventPrepend || ''}${eventName}`, ...args); }
+   }
+
+   /**
+    * Triggers a lifecycle hook with a data object which hooks may modify and returns the value of a data key.
+    *
+    * @param {string}   eventName - The hook event name.
+    *
+    * @param {object}   data - The hook data.
+    *
+    * @param {string}   key - The data key hooks may set; `config` or `filePath`.
+    *
+    * @returns {*} The value of the data key after all hooks are invoked.
+    */
+   _triggerHook(eventName, data, key)
+   {
+      const value = data[key];
+
+      this._triggerEvent(eventName, data);
+
+      if (data[key] !== value)
+      {
+         const type = key === 'filePath' ? 'string' : 'object';
+
+         if (typeof data[key] !== type || data[key] === null)
+         {
+            throw new TypeError(`'${key}' set by '${eventName}' is not ${type === 'object' ? 'an' : 'a'} '${type}'.`);
+         }
+      }
+
+      return data[key];
+   }
+
+   /**
+    * Resolves a config object then watches all config files in its extension chain. When any file changes the config
+    * is resolved again after a debounce period, the watched files are updated and `config:resolver:changed` is
+    * triggered on any plugin eventbus. Resolution and validation failures are reported to the callback and by
+    * `config:resolver:watch:error` without closing the watcher; errors thrown by the callback are reported by
+    * `config:resolver:watch:error`.
+    *
+    * @param {object}   config - A config object to resolve.
+    *
+    * @param {string}   [configName='config'] - Optional name of the config object.
+    *
+    * @param {function} callback - Invoked after each reload with any error or the new config and changed key paths;
+    *                              `(err, config, changes)`.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {number}   [options.debounce=100] - Milliseconds to wait for further changes before reloading.
+    *
+    * @param {string|null}  [options.profile=process.env.NODE_ENV] - The profile section to merge when `profileKey` is
+    *                                                               set; null for none.
+    *
+    * @param {string}   [options.cwd=process.cwd()] - The directory relative `extends` entries are resolved from.
+    *
+    * @param {string}   [options.filePath] - The file path of the config object relative to `cwd`.
+    *
+    * @returns {ConfigWatcher} A handle providing the current `config`, watched `files` and `close`.
+    */
+   watch(config, configName = 'config', callback = void 0, options = {})
+   {
+      if (typeof configName === 'function')
+      {
+         options = callback || {};
+         callback = configName;
+         configName = 'config';
+      }
+
+      return new ConfigWatcher(this, config, configName, callback, options);
+   }
+}
+
+/**
  * Wires up an instance of ConfigResolver on the plugin eventbus. The following event bindings are available:
  *
  * @param {PluginEvent} ev - The plugin event.
@@ -524,6 +2524,461 @@ export function onPluginLoad(ev)
    new ConfigResolver().onPluginLoad(ev);
 }
 
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Matches an array index key path segment.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_ARRAY_INDEX = /^\d+$/;
+
+/**
+ * Matches the key path of a value in an `overrides` block capturing the key path relative to the block.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_OVERRIDES_KEY_PATH = /^overrides\[\d+\]\.(.+)$/;
+
+/**
+ * Matches an `http://` or `https://` URL.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_URL = /^https?:\/\//i;
+
+/**
+ * Expands a shareable config shorthand to the NPM module name; with the prefix `myapp-config` `foo` is expanded to
+ * `myapp-config-foo`, `foo/strict` to `myapp-config-foo/strict`, `@scope` to `@scope/myapp-config` and `@scope/foo`
+ * to `@scope/myapp-config-foo`. Names already including the prefix are not changed.
+ *
+ * @param {string}   name - An `extends` module name.
+ *
+ * @param {string}   prefix - The shareable config prefix.
+ *
+ * @returns {string} The NPM module name.
+ * @ignore
+ * @private
+ */
+function _expandSharedConfig(name, prefix)
+{
+   const segments = name.split('/');
+
+   if (name.charAt(0) === '@')
+   {
+      if (segments.length === 1) { return `${name}/${prefix}`; }
+
+      if (segments[1] !== prefix && segments[1].indexOf(`${prefix}-`) !== 0)
+      {
+         segments[1] = `${prefix}-${segments[1]}`;
+      }
+   }
+   else if (segments[0] !== prefix && segments[0].indexOf(`${prefix}-`) !== 0)
+   {
+      segments[0] = `${prefix}-${segments[0]}`;
+   }
+
+   return segments.join('/');
+}
+
+/**
+ * Returns the expected type or rule of a typhonjs-object-util validation entry for a validation report.
+ *
+ * @param {ValidationEntry}   entry - A validation entry.
+ *
+ * @returns {*} The expected values, the name of an expected function or the expected type.
+ * @ignore
+ * @private
+ */
+function _expectedRule(entry)
+{
+   if (entry.expected instanceof Set) { return Array.from(entry.expected); }
+
+   if (typeof entry.expected === 'function') { return entry.expected.name || 'function'; }
+
+   return entry.type;
+}
+
+/**
+ * Returns the directory or URL which `extends` entries of a loaded config resolve relative to.
+ *
+ * @param {string}   loadPath - The load path of the config.
+ *
+ * @returns {string|undefined} The URL of a remote config or the directory of a config file / resolved NPM module.
+ * @ignore
+ * @private
+ */
+function _extendsBase(loadPath)
+{
+   if (_isURL(loadPath)) { return loadPath; }
+
+   return path.isAbsolute(loadPath) ? path.dirname(loadPath) : void 0;
+}
+
+/**
+ * Normalizes an `extends` entry which is a file path, NPM module name, URL or `{ url, integrity }` object.
+ *
+ * @param {string|{url: string, integrity: string}}  entry - An `extends` entry.
+ *
+ * @returns {{name: string, integrity: *}} The entry name and any SRI hashes.
+ * @ignore
+ * @private
+ */
+function _extendsEntry(entry)
+{
+   if (typeof entry === 'object' && entry !== null && typeof entry.url === 'string')
+   {
+      return { name: entry.url, integrity: entry.integrity };
+   }
+
+   return { name: entry, integrity: void 0 };
+}
+
+/**
+ * Loads an ES Module by dynamic `import()` returning the default export if available.
+ *
+ * @param {string}   specifier - A file URL or NPM module name.
+ *
+ * @returns {Promise<Object>} The module default export or namespace.
+ * @ignore
+ * @private
+ */
+function _import(specifier)
+{
+   return dynamicImport(specifier).then((module) => typeof module.default !== 'undefined' ? module.default : module);
+}
+
+/**
+ * Returns whether the given path exists and is a file.
+ *
+ * @param {string}   filePath - The file path to test.
+ *
+ * @returns {boolean} True if the path is a file.
+ * @ignore
+ * @private
+ */
+function _isFile(filePath)
+{
+   try
+   {
+      return fs.statSync(filePath).isFile();
+   }
+   catch (err)
+   {
+      return false;
+   }
+}
+
+/**
+ * Returns whether a value is a non-array object.
+ *
+ * @param {*}  value - A value to test.
+ *
+ * @returns {boolean} True if the value is a non-array object.
+ * @ignore
+ * @private
+ */
+function _isObject(value)
+{
+   return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Returns whether a value is an `http://` or `https://` URL.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {boolean} True if the value is a URL.
+ * @ignore
+ * @private
+ */
+function _isURL(value)
+{
+   return typeof value === 'string' && s_URL.test(value);
+}
+
+/**
+ * Returns a dotted key path with array elements indexed by position; IE `server.hosts[0]`.
+ *
+ * @param {Array<string>}  segments - Property names / array indexes.
+ *
+ * @returns {string} The key path.
+ * @ignore
+ * @private
+ */
+function _keyPath(segments)
+{
+   return segments.reduce((keyPath, segment) => s_ARRAY_INDEX.test(segment) ? `${keyPath}[${segment}]` :
+    keyPath === '' ? segment : `${keyPath}.${segment}`, '');
+}
+
+/**
+ * Splits a dotted key path with any array indexes to property names / array indexes.
+ *
+ * @param {string}   keyPath - A key path; IE `server.hosts[0]`.
+ *
+ * @returns {Array<string>} The key path segments.
+ * @ignore
+ * @private
+ */
+function _keyPathSegments(keyPath)
+{
+   return keyPath === '' ? [] : keyPath.replace(/\[(\d+)\]/g, '.$1').split('.');
+}
+
+/**
+ * Returns the source of the highest precedence config layer setting the value at the given key path segments.
+ *
+ * @param {Array<{source: string, config: object}>} layers - The config layers in precedence order.
+ *
+ * @param {Array<string>}  segments - Property names / array indexes.
+ *
+ * @returns {string|undefined} The source if any layer sets the value.
+ * @ignore
+ * @private
+ */
+function _layerSource(layers, segments)
+{
+   for (let cntr = layers.length; --cntr >= 0;)
+   {
+      let value = layers[cntr].config;
+
+      for (const segment of segments)
+      {
+         value = typeof value === 'object' && value !== null && value.hasOwnProperty(segment) ? value[segment] :
+          void 0;
+      }
+
+      if (typeof value !== 'undefined') { return layers[cntr].source; }
+   }
+
+   return void 0;
+}
+
+/**
+ * Determines if an `overrides` block applies to a file.
+ *
+ * @param {object}   block - An `overrides` block.
+ *
+ * @param {string}   relativePath - The file path relative to the directory of the config declaring the block.
+ *
+ * @param {string}   source - The config declaring the block included in any error message.
+ *
+ * @returns {boolean} True if a `files` pattern and no `excludedFiles` pattern matches.
+ * @ignore
+ * @private
+ */
+function _matchOverride(block, relativePath, source)
+{
+   if (typeof block !== 'object' || block === null || (typeof block.files !== 'string' && !Array.isArray(block.files)))
+   {
+      throw new TypeError(`'overrides' entry in '${source}' does not have 'files' as a 'string' or 'array'.`);
+   }
+
+   // Files outside of the directory of the declaring config do not match.
+   if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) { return false; }
+
+   relativePath = relativePath.split(path.sep).join('/');
+
+   const matches = (patterns) => [].concat(patterns).some((pattern) =>
+    minimatch(relativePath, pattern, { dot: true, matchBase: true }));
+
+   return matches(block.files) && !(block.excludedFiles && matches(block.excludedFiles));
+}
+
+/**
+ * Reads a UTF-8 file returning a Promise.
+ *
+ * @param {string}   filePath - The file path to read.
+ *
+ * @returns {Promise<string>} The file contents.
+ * @ignore
+ * @private
+ */
+function _readFile(filePath)
+{
+   return new Promise((resolve, reject) =>
+   {
+      fs.readFile(filePath, 'utf8', (err, data) => err ? reject(err) : resolve(data));
+   });
+}
+
+/**
+ * Loads a CommonJS module / file by `require` in the same manner as synchronous resolution falling back to dynamic
+ * `import()` for ES Modules which can not be loaded by `require`.
+ *
+ * @param {string}   loadPath - An absolute file path or NPM module name.
+ *
+ * @param {boolean}  [fresh=false] - When true any module in the `require` cache is reloaded.
+ *
+ * @returns {Promise<Object>} The loaded module.
+ * @ignore
+ * @private
+ */
+function _requireOrImport(loadPath, fresh = false)
+{
+   return new Promise((resolve) => resolve(fresh ? _requireFresh(loadPath) : require(loadPath))).catch((err) =>
+   {
+      if (err.code !== 'ERR_REQUIRE_ESM' && err.code !== 'ERR_PACKAGE_PATH_NOT_EXPORTED') { throw err; }
+
+      return _import(path.isAbsolute(loadPath) ? url.pathToFileURL(loadPath).href : loadPath);
+   });
+}
+
+/**
+ * Loads a module by `require` removing it from the `require` cache first, so that changes are loaded.
+ *
+ * @param {string}   modulePath - The resolved module file path.
+ *
+ * @returns {Object} The loaded module.
+ * @ignore
+ * @private
+ */
+function _requireFresh(modulePath)
+{
+   delete require.cache[require.resolve(modulePath)];
+
+   return require(modulePath);
+}
+
+/**
+ * Normalizes the options of the public resolve methods. The options may be passed in place of the config name.
+ *
+ * @param {string|ResolveOptions}   configName - The name of the config object or the options.
+ *
+ * @param {ResolveOptions}          options - The options.
+ *
+ * @returns {{name: string, dirPath: string, profile: *, frozen: boolean}} The config name, the directory to resolve
+ *                                                                          extensions relative to, the profile and
+ *                                                                          whether to return a `ResolvedConfig`.
+ * @ignore
+ * @private
+ */
+function _resolveOptions(configName, options)
+{
+   if (typeof configName === 'object' && configName !== null)
+   {
+      options = configName;
+      configName = options.configName;
+   }
+
+   const { cwd = process.cwd(), filePath = void 0, frozen = false, profile = void 0 } = options || {};
+
+   if (typeof configName === 'undefined') { configName = 'config'; }
+
+   if (typeof configName !== 'string') { throw new TypeError(`'configName' is not a 'string'.`); }
+   if (typeof cwd !== 'string') { throw new TypeError(`'cwd' is not a 'string'.`); }
+   if (typeof filePath !== 'undefined' && typeof filePath !== 'string')
+   {
+      throw new TypeError(`'filePath' is not a 'string'.`);
+   }
+   if (typeof frozen !== 'boolean') { throw new TypeError(`'frozen' is not a 'boolean'.`); }
+
+   const dirPath = typeof filePath === 'string' ? path.dirname(path.resolve(cwd, filePath)) : path.resolve(cwd);
+
+   return { name: configName, dirPath, profile, frozen };
+}
+
+/**
+ * Returns the key path relative to the profile section or `overrides` block containing a key path; IE
+ * `profiles.production.db.password` is `db.password`. Other key paths are returned unchanged.
+ *
+ * @param {string}   keyPath - A dotted key path of a loaded config.
+ *
+ * @param {string}   [profileKey] - The key of the profile sections when profile handling is enabled.
+ *
+ * @returns {string} The key path the value is merged at.
+ * @ignore
+ * @private
+ */
+function _sectionKeyPath(keyPath, profileKey)
+{
+   if (typeof profileKey === 'string' && keyPath.startsWith(`${profileKey}.`))
+   {
+      const index = keyPath.indexOf('.', profileKey.length + 1);
+
+      return index === -1 ? keyPath : keyPath.slice(index + 1);
+   }
+
+   const match = s_OVERRIDES_KEY_PATH.exec(keyPath);
+
+   return match ? match[1] : keyPath;
+}
+
+/**
+ * Sets the source of validation failures which have no source.
+ *
+ * @param {Array<ValidationFailure>}   report - The validation failures.
+ *
+ * @param {string}   source - The config file, module or config name validated.
+ * @ignore
+ * @private
+ */
+function _setFailureSource(report, source)
+{
+   for (const failure of report)
+   {
+      if (typeof failure.source === 'undefined') { failure.source = source; }
+   }
+}
+
+/**
+ * Creates the error thrown when a remote config references a local file or NPM module.
+ *
+ * @param {string}   name - The `extends` entry.
+ *
+ * @param {string}   referencedFrom - The URL of the remote config.
+ *
+ * @returns {ConfigResolverError} An `UNTRUSTED` error.
+ * @ignore
+ * @private
+ */
+function _untrustedRemoteEntry(name, referencedFrom)
+{
+   return new ConfigResolverError('UNTRUSTED', `Untrusted config '${name}' referenced from '${referencedFrom
+    }': remote configs may only extend URLs and paths relative to their URL.`, { filePath: name });
+}
+
+/**
+ * Validates a config object with typhonjs-object-util validation entries.
+ *
+ * @param {object}   config - A config object to validate.
+ *
+ * @param {object}   validationData - Accessor entry to validation entry.
+ *
+ * @param {string}   configName - Name of the config object.
+ * @ignore
+ * @private
+ */
+function _validate(config, validationData, configName)
+{
+   try
+   {
+      ObjectUtil.validate(config, validationData, configName);
+   }
+   catch (err)
+   {
+      throw new ConfigResolverError('VALIDATION_FAILED', err.message, { cause: err });
+   }
+}
+
+/**
+ * Returns the value at the given property names / array indexes of a config object.
+ *
+ * @param {object}         config - A config object.
+ *
+ * @param {Array<string>}  segments - Property names / array indexes.
+ *
+ * @returns {*} The value or undefined if not set.
+ * @ignore
+ * @private
+ */
+function _valueAt(config, segments)
+{
+   return segments.reduce((value, segment) => typeof value === 'object' && value !== null ? value[segment] : void 0,
+    config);
+}
+
 // ------------------------------------------------------------------------------------------------------------------
 
 /*
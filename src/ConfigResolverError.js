@@ -0,0 +1,287 @@
+/**
+ * Matches the end of input message of JSON parse errors.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_JSON_END = /end of JSON input/;
+
+/**
+ * Matches the character offset in the message of JSON parse errors.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_JSON_POSITION = /at position (\d+)/;
+
+/**
+ * Provides the error thrown when a config can not be resolved. The `code` identifies the failure:
+ *
+ * `CIRCULAR_EXTENDS`: A config extends itself through its extension chain.
+ * `ENV_NOT_SET`: An environment variable placeholder has no value or default or a `$env` secret is not set.
+ * `INTEGRITY_MISMATCH`: The contents of a remote config do not match its `integrity` hashes.
+ * `LOAD_ERROR`: A config file or module could not be read or threw when loaded.
+ * `MIGRATION_FAILED`: A config version is invalid or newer than the current version or a migration threw.
+ * `NOT_FOUND`: A config file, module, remote config or `$file` secret does not exist or a remote config is not cached
+ * when required.
+ * `PARSE_ERROR`: A config file could not be parsed; `line`, `column` and `codeFrame` locate the error.
+ * `TYPE_MISMATCH`: A value read by `ResolvedConfig.getTyped` is not of the expected type; `filePath` is its source.
+ * `UNTRUSTED`: An `extends` entry is an executable config rejected by the trust policy or a remote config declares an
+ * `extends` entry which is not a URL or relative to its URL or a `$file` secret.
+ * `VALIDATION_FAILED`: Pre or post-validation failed; `violations` lists any JSON Schema violations and `report` every
+ * failure in the `collect` validation mode.
+ *
+ * `extendsChain` lists the `extends` entries from the root config to the config which failed.
+ */
+export default class ConfigResolverError extends Error
+{
+   /**
+    * Creates a config resolver error.
+    *
+    * @param {string}         code - The error code; IE `PARSE_ERROR`.
+    *
+    * @param {string}         message - The error message.
+    *
+    * @param {object}         [options] - Optional parameters.
+    *
+    * @param {string}         [options.filePath] - The config file path or module name which failed.
+    *
+    * @param {number}         [options.line] - The 1-based line of a parse error in the original file contents.
+    *
+    * @param {number}         [options.column] - The 1-based column of a parse error in the original file contents.
+    *
+    * @param {string}         [options.codeFrame] - Lines of the file contents surrounding a parse error.
+    *
+    * @param {Array<string>}  [options.extendsChain=[]] - The `extends` entries from the root config to the config
+    *                                                      which failed.
+    *
+    * @param {Array<SchemaViolation>}  [options.violations=[]] - All JSON Schema violations.
+    *
+    * @param {Array<ValidationFailure>} [options.report] - Every validation failure in the `collect` validation mode.
+    *
+    * @param {Error}          [options.cause] - The original error.
+    */
+   constructor(code, message, { filePath = void 0, line = void 0, column = void 0, codeFrame = void 0,
+    extendsChain = [], violations = [], report = void 0, cause = void 0 } = {})
+   {
+      super(message);
+
+      // Restore the prototype chain as built-in classes are not extended when transpiled.
+      Object.setPrototypeOf(this, ConfigResolverError.prototype);
+
+      /**
+       * @type {string}
+       */
+      this.name = 'ConfigResolverError';
+
+      /**
+       * The error code.
+       * @type {string}
+       */
+      this.code = code;
+
+      /**
+       * The config file path or module name which failed.
+       * @type {string|undefined}
+       */
+      this.filePath = filePath;
+
+      /**
+       * The 1-based line of a parse error.
+       * @type {number|undefined}
+       */
+      this.line = line;
+
+      /**
+       * The 1-based column of a parse error.
+       * @type {number|undefined}
+       */
+      this.column = column;
+
+      /**
+       * Lines of the file contents surrounding a parse error with the error line marked by `>`.
+       * @type {string|undefined}
+       */
+      this.codeFrame = codeFrame;
+
+      /**
+       * The `extends` entries from the root config to the config which failed.
+       * @type {Array<string>}
+       */
+      this.extendsChain = extendsChain;
+
+      /**
+       * All JSON Schema violations of a `VALIDATION_FAILED` error.
+       * @type {Array<SchemaViolation>}
+       */
+      this.violations = violations;
+
+      /**
+       * Every pre and post-validation failure of a `VALIDATION_FAILED` error in the `collect` validation mode.
+       * @type {Array<ValidationFailure>|undefined}
+       */
+      this.report = report;
+
+      /**
+       * The original error.
+       * @type {Error|undefined}
+       */
+      this.cause = cause;
+   }
+
+   /**
+    * Converts an error thrown while loading a config file or module to a ConfigResolverError. An existing
+    * ConfigResolverError has any missing `filePath`, `extendsChain` and violation `source` set and is returned. Missing
+    * files and modules are reported as `NOT_FOUND` and other errors as `LOAD_ERROR`.
+    *
+    * @param {Error}          err - The error thrown.
+    *
+    * @param {string}         filePath - The config file path or module name loaded.
+    *
+    * @param {Array<string>}  [extendsChain=[]] - The `extends` entries from the root config to the config loaded.
+    *
+    * @returns {ConfigResolverError} The config resolver error.
+    */
+   static from(err, filePath, extendsChain = [])
+   {
+      if (err instanceof ConfigResolverError)
+      {
+         if (typeof err.filePath === 'undefined') { err.filePath = filePath; }
+         if (err.extendsChain.length === 0) { err.extendsChain = extendsChain.slice(); }
+
+         for (const violation of err.violations)
+         {
+            if (typeof violation.source === 'undefined') { violation.source = filePath; }
+         }
+
+         return err;
+      }
+
+      // A module not found error may also refer to a module required by a `.js` config.
+      const notFound = err.code === 'ENOENT' ||
+       (err.code === 'MODULE_NOT_FOUND' && err.message.indexOf(`'${filePath}'`) >= 0);
+
+      return new ConfigResolverError(notFound ? 'NOT_FOUND' : 'LOAD_ERROR', err.message,
+       { filePath, extendsChain: extendsChain.slice(), cause: err });
+   }
+
+   /**
+    * Creates a `PARSE_ERROR` for an error thrown by a config loader. The line and column are determined from the
+    * location information of JSON, JSON5, TOML and YAML parse errors.
+    *
+    * @param {Error}    err - The error thrown by the loader.
+    *
+    * @param {string}   data - The original file contents.
+    *
+    * @param {string}   filePath - The config file path.
+    *
+    * @returns {ConfigResolverError} The config resolver error.
+    */
+   static fromParseError(err, data, filePath)
+   {
+      if (err instanceof ConfigResolverError) { return err; }
+
+      const location = _errorLocation(err, data);
+
+      const options = { filePath, cause: err };
+
+      let message = `Failed to parse '${filePath}'`;
+
+      if (location)
+      {
+         Object.assign(options, location, { codeFrame: createCodeFrame(data, location.line, location.column) });
+
+         message += ` (${location.line}:${location.column})`;
+      }
+
+      return new ConfigResolverError('PARSE_ERROR', `${message}: ${err.message}`, options);
+   }
+}
+
+/**
+ * Creates a code frame of the lines surrounding a location in file contents. The location line is marked by `>` and
+ * the column by `^`.
+ *
+ * @param {string}   data - The file contents.
+ *
+ * @param {number}   line - The 1-based line.
+ *
+ * @param {number}   column - The 1-based column.
+ *
+ * @param {number}   [context=2] - The number of lines shown before and after the location line.
+ *
+ * @returns {string} The code frame.
+ */
+export function createCodeFrame(data, line, column, context = 2)
+{
+   // Ignore any final line break.
+   const lines = data.replace(/\r?\n$/, '').split(/\r?\n/);
+
+   const start = Math.max(1, line - context);
+   const end = Math.min(lines.length, line + context);
+
+   const width = String(end).length;
+
+   const frame = [];
+
+   for (let cntr = start; cntr <= end; cntr++)
+   {
+      const gutter = ` ${' '.repeat(width - String(cntr).length)}${cntr} |`;
+
+      frame.push(`${cntr === line ? '>' : ' '}${gutter} ${lines[cntr - 1]}`.replace(/\s+$/, ''));
+
+      if (cntr === line) { frame.push(` ${' '.repeat(gutter.length)} ${' '.repeat(Math.max(0, column - 1))}^`); }
+   }
+
+   return frame.join('\n');
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Determines the 1-based line and column of a parse error from the location information of the error. JSON parse
+ * errors provide a character offset which is mapped to the original file contents; comments are stripped by
+ * replacing them with whitespace, so offsets are unchanged.
+ *
+ * @param {Error}    err - A parse error.
+ *
+ * @param {string}   data - The original file contents.
+ *
+ * @returns {{line: number, column: number}|undefined} The location if available.
+ * @ignore
+ * @private
+ */
+function _errorLocation(err, data)
+{
+   // YAML; 0-based.
+   if (err.mark && typeof err.mark.line === 'number')
+   {
+      return { line: err.mark.line + 1, column: err.mark.column + 1 };
+   }
+
+   // JSON5
+   if (typeof err.lineNumber === 'number') { return { line: err.lineNumber, column: err.columnNumber }; }
+
+   // TOML
+   if (typeof err.line === 'number' && typeof err.column === 'number')
+   {
+      return { line: err.line, column: err.column };
+   }
+
+   if (err instanceof SyntaxError)
+   {
+      const match = s_JSON_POSITION.exec(err.message);
+
+      let offset = match ? Number(match[1]) : -1;
+
+      // JSON errors at the end of the input have no position.
+      if (!match && s_JSON_END.test(err.message)) { offset = data.length; }
+
+      if (offset >= 0)
+      {
+         const before = data.slice(0, offset).split(/\r?\n/);
+
+         return { line: before.length, column: before[before.length - 1].length + 1 };
+      }
+   }
+
+   return void 0;
+}
@@ -0,0 +1,300 @@
+import fs                  from 'fs';
+import path                from 'path';
+
+import { changedKeyPaths } from './diff.js';
+
+/**
+ * Watches every config file in the extension chain of a config object re-resolving it when any file changes. Changes
+ * are debounced and the set of watched files is updated after each reload, so that changes to `extends` entries are
+ * followed. Failures to resolve or validate are reported without closing the watcher.
+ *
+ * Instances are created by `ConfigResolver.watch`.
+ */
+export default class ConfigWatcher
+{
+   /**
+    * Resolves the config object and starts watching all config files loaded.
+    *
+    * @param {ConfigResolver} resolver - The resolver.
+    *
+    * @param {object}         config - A config object to resolve.
+    *
+    * @param {string}         configName - Name of the config object.
+    *
+    * @param {function}       callback - Invoked after each reload with any error or the new config and changed key
+    *                                    paths; `(err, config, changes)`.
+    *
+    * @param {object}         [options] - Optional parameters.
+    *
+    * @param {number}         [options.debounce=100] - Milliseconds to wait for further changes before reloading.
+    *
+    * @param {string|null}    [options.profile] - The profile section to merge.
+    *
+    * @param {string}         [options.cwd] - The directory relative `extends` entries are resolved from.
+    *
+    * @param {string}         [options.filePath] - The file path of the config object relative to `cwd`.
+    */
+   constructor(resolver, config, configName, callback, { debounce = 100, profile = void 0, cwd = void 0,
+    filePath = void 0 } = {})
+   {
+      if (typeof callback !== 'function') { throw new TypeError(`'callback' is not a 'function'.`); }
+      if (!Number.isInteger(debounce) || debounce < 0)
+      {
+         throw new TypeError(`'debounce' is not a positive 'integer'.`);
+      }
+
+      /**
+       * The resolver.
+       * @type {ConfigResolver}
+       * @private
+       */
+      this._resolver = resolver;
+
+      /**
+       * An unmodified copy of the config object to resolve on each reload.
+       * @type {string}
+       * @private
+       */
+      this._configJSON = JSON.stringify(config);
+
+      /**
+       * @type {string}
+       * @private
+       */
+      this._configName = configName;
+
+      /**
+       * @type {function}
+       * @private
+       */
+      this._callback = callback;
+
+      /**
+       * @type {number}
+       * @private
+       */
+      this._debounce = debounce;
+
+      /**
+       * The resolve options.
+       * @type {ResolveOptions}
+       * @private
+       */
+      this._options = { configName, cwd, filePath, profile };
+
+      /**
+       * Any pending debounce timer.
+       * @type {*}
+       * @private
+       */
+      this._timer = void 0;
+
+      /**
+       * Whether the watcher is closed.
+       * @type {boolean}
+       * @private
+       */
+      this._closed = false;
+
+      /**
+       * File system watchers keyed by file path.
+       * @type {Map<string, fs.FSWatcher>}
+       * @private
+       */
+      this._watchers = new Map();
+
+      /**
+       * The most recently resolved config object.
+       * @type {object}
+       */
+      this.config = this._resolve();
+
+      this._updateWatchers();
+   }
+
+   /**
+    * Stops watching all config files.
+    */
+   close()
+   {
+      clearTimeout(this._timer);
+
+      this._timer = void 0;
+
+      for (const watcher of this._watchers.values()) { watcher.close(); }
+
+      this._watchers.clear();
+
+      this._closed = true;
+   }
+
+   /**
+    * Returns the config files currently watched.
+    *
+    * @returns {Array<string>}
+    */
+   get files()
+   {
+      return Array.from(this._watchers.keys());
+   }
+
+   /**
+    * Returns the file paths of the config files in the extension chain of the current config. NPM modules are
+    * included as their resolved module file.
+    *
+    * @returns {Array<string>} The file paths.
+    * @private
+    */
+   _configFiles()
+   {
+      // The root node is the config name and modules which can not be resolved are not watched.
+      return this._graph.nodes.slice(1).filter((node) => path.isAbsolute(node));
+   }
+
+   /**
+    * Invokes the callback. The callback runs in a timer, so any error it throws is reported by
+    * `config:resolver:watch:error` instead of becoming an uncaught exception.
+    *
+    * @param {...*}  args - The callback arguments.
+    * @private
+    */
+   _invokeCallback(...args)
+   {
+      try
+      {
+         this._callback(...args);
+      }
+      catch (err)
+      {
+         this._resolver._triggerEvent('config:resolver:watch:error', err, this._configName);
+      }
+   }
+
+   /**
+    * Schedules a debounced reload after a watched file changes.
+    *
+    * @param {string}   filePath - The changed file.
+    *
+    * @param {string}   eventType - The type of change; `rename` requires the file to be watched again.
+    * @private
+    */
+   _onChange(filePath, eventType)
+   {
+      if (this._closed) { return; }
+
+      // Editors often replace files, so watch the new file on reload.
+      if (eventType === 'rename' && this._watchers.has(filePath))
+      {
+         this._watchers.get(filePath).close();
+         this._watchers.delete(filePath);
+      }
+
+      clearTimeout(this._timer);
+
+      this._timer = setTimeout(() => this._reload(), this._debounce);
+   }
+
+   /**
+    * Re-resolves the config, updates the watched files and reports the result to the callback and plugin eventbus.
+    *
+    * @private
+    */
+   _reload()
+   {
+      this._timer = void 0;
+
+      if (this._closed) { return; }
+
+      // Ensure changed `.js` configs are loaded again.
+      for (const filePath of this._configFiles()) { delete require.cache[filePath]; }
+
+      let config;
+
+      try
+      {
+         config = this._resolve();
+      }
+      catch (err)
+      {
+         // Keep watching the last known files so that the error can be fixed.
+         this._updateWatchers(false);
+
+         this._resolver._triggerEvent('config:resolver:watch:error', err, this._configName);
+
+         this._invokeCallback(err);
+
+         return;
+      }
+
+      const changes = changedKeyPaths(this.config, config);
+
+      this.config = config;
+
+      this._updateWatchers();
+
+      this._resolver._triggerEvent('config:resolver:changed', config, changes, this._configName);
+
+      this._invokeCallback(null, config, changes);
+   }
+
+   /**
+    * Resolves a copy of the config object storing the extends graph.
+    *
+    * @returns {object} The resolved config.
+    * @private
+    */
+   _resolve()
+   {
+      const { config, graph } = this._resolver.resolveGraph(JSON.parse(this._configJSON), this._options);
+
+      /**
+       * The extends graph of the most recently resolved config.
+       * @type {ExtendsGraph}
+       * @private
+       */
+      this._graph = graph;
+
+      return config;
+   }
+
+   /**
+    * Watches all config files of the current config closing watchers of files no longer in the extension chain.
+    *
+    * @param {boolean}  [removeUnused=true] - When false watchers of files no longer in the extension chain remain.
+    * @private
+    */
+   _updateWatchers(removeUnused = true)
+   {
+      const files = this._configFiles();
+
+      if (removeUnused)
+      {
+         for (const [filePath, watcher] of this._watchers)
+         {
+            if (files.indexOf(filePath) < 0)
+            {
+               watcher.close();
+               this._watchers.delete(filePath);
+            }
+         }
+      }
+
+      for (const filePath of files)
+      {
+         if (this._watchers.has(filePath)) { continue; }
+
+         try
+         {
+            const watcher = fs.watch(filePath, (eventType) => this._onChange(filePath, eventType));
+
+            watcher.on('error', () => this._onChange(filePath, 'rename'));
+
+            this._watchers.set(filePath, watcher);
+         }
+         catch (err)
+         {
+            /* Missing files are watched again after the next reload */
+         }
+      }
+   }
+}
@@ -0,0 +1,161 @@
+/**
+ * Provides the dependency graph of the `extends` entries of a config. Nodes are the root config name and the load
+ * paths of extended config files / NPM modules. The edges of each node are its `extends` entries in order.
+ *
+ * A config extended more than once (a diamond) is merged once where it has the lowest precedence; its first
+ * occurrence in a depth first traversal of `extends` entries from first to last. `precedence` lists configs in merge
+ * precedence order from lowest to highest.
+ */
+export default class ExtendsGraph
+{
+   /**
+    * Creates an empty graph with the given root node.
+    *
+    * @param {string}   root - The root config name.
+    */
+   constructor(root)
+   {
+      if (typeof root !== 'string') { throw new TypeError(`'root' is not a 'string'.`); }
+
+      /**
+       * The root config name.
+       * @type {string}
+       */
+      this.root = root;
+
+      /**
+       * The `extends` entries of each node in order.
+       * @type {Map<string, Array<string>>}
+       * @private
+       */
+      this._edges = new Map([[root, []]]);
+
+      /**
+       * The extends chain where each extended config is merged keyed by load path.
+       * @type {Map<string, string>}
+       * @private
+       */
+      this._owners = new Map();
+   }
+
+   /**
+    * Adds an `extends` entry from one node to another.
+    *
+    * @param {string}         from - The extending node.
+    *
+    * @param {string}         to - The extended node.
+    *
+    * @param {Array<string>}  extendsChain - The load paths from the root config to the extended node.
+    *
+    * @returns {boolean} True if the extended node was not already in the graph.
+    */
+   addEdge(from, to, extendsChain)
+   {
+      if (!this._edges.has(from)) { this._edges.set(from, []); }
+
+      this._edges.get(from).push(to);
+
+      if (this._owners.has(to)) { return false; }
+
+      this._edges.set(to, this._edges.get(to) || []);
+      this._owners.set(to, extendsChain.join('\n'));
+
+      return true;
+   }
+
+   /**
+    * Returns the `extends` entries of a node.
+    *
+    * @param {string}   node - A node.
+    *
+    * @returns {Array<string>} The extended nodes in order.
+    */
+   extendsOf(node)
+   {
+      return (this._edges.get(node) || []).slice();
+   }
+
+   /**
+    * Returns whether an extended config is merged at the given extends chain.
+    *
+    * @param {Array<string>}  extendsChain - The load paths from the root config to an extended config.
+    *
+    * @returns {boolean} True if the last config of the chain is merged at this position.
+    */
+   isMergedAt(extendsChain)
+   {
+      return this._owners.get(extendsChain[extendsChain.length - 1]) === extendsChain.join('\n');
+   }
+
+   /**
+    * Returns all nodes; the root first followed by extended configs in the order they are found.
+    *
+    * @returns {Array<string>} The nodes.
+    */
+   get nodes()
+   {
+      return Array.from(this._edges.keys());
+   }
+
+   /**
+    * Returns all nodes in merge precedence order from lowest to highest; the root config is last.
+    *
+    * @returns {Array<string>} The nodes in precedence order.
+    */
+   get precedence()
+   {
+      const result = [];
+
+      const visit = (node) =>
+      {
+         for (const child of this._edges.get(node))
+         {
+            if (result.indexOf(child) < 0) { visit(child); }
+         }
+
+         if (result.indexOf(node) < 0) { result.push(node); }
+      };
+
+      visit(this.root);
+
+      return result;
+   }
+
+   /**
+    * Returns the graph in Graphviz DOT format. Edges are labeled with the position of the `extends` entry.
+    *
+    * @returns {string} The DOT graph.
+    */
+   toDOT()
+   {
+      const lines = ['digraph extends {'];
+
+      for (const [node, edges] of this._edges)
+      {
+         lines.push(`   ${JSON.stringify(node)};`);
+
+         edges.forEach((child, index) =>
+         {
+            lines.push(`   ${JSON.stringify(node)} -> ${JSON.stringify(child)} [label="${index}"];`);
+         });
+      }
+
+      lines.push('}');
+
+      return lines.join('\n');
+   }
+
+   /**
+    * Returns the graph as a plain object; the root, `extends` entries of each node and merge precedence.
+    *
+    * @returns {{root: string, nodes: object<string, Array<string>>, precedence: Array<string>}}
+    */
+   toJSON()
+   {
+      const nodes = {};
+
+      for (const [node, edges] of this._edges) { nodes[node] = edges.slice(); }
+
+      return { root: this.root, nodes, precedence: this.precedence };
+   }
+}
@@ -0,0 +1,224 @@
+/**
+ * The replacement of sensitive values.
+ * @type {string}
+ * @ignore
+ */
+const s_MASK = '[REDACTED]';
+
+/**
+ * Matches an array index of a key path.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_ARRAY_INDEX = /\[\d+\]$/;
+
+/**
+ * Masks sensitive config values. A value is sensitive when its key matches a `sensitiveKeys` entry or when it was
+ * expanded from a `$secret` reference. String entries match a key name or dotted key path; IE `password` or
+ * `db.password`. RegExp entries are tested against both. All values of a sensitive object or array are sensitive.
+ *
+ * Expanded secrets and the values of sensitive keys are recorded in a `RedactionScope` of a single resolution as
+ * configs are loaded, so that any occurrence in the log and error messages of the resolution is masked. Expanded
+ * secrets are masked in config objects only at the key paths they were expanded at.
+ *
+ * Instances are created by `ConfigResolver`.
+ */
+export default class Redactor
+{
+   /**
+    * Creates a redactor.
+    *
+    * @param {Array<string|RegExp>|RegExp}   [sensitiveKeys=[]] - Key names, key paths or patterns of sensitive keys.
+    */
+   constructor(sensitiveKeys = [])
+   {
+      if (sensitiveKeys instanceof RegExp) { sensitiveKeys = [sensitiveKeys]; }
+
+      if (!Array.isArray(sensitiveKeys) ||
+       !sensitiveKeys.every((entry) => typeof entry === 'string' || entry instanceof RegExp))
+      {
+         throw new TypeError(`'sensitiveKeys' is not an 'array' of strings / RegExps or a 'RegExp'.`);
+      }
+
+      /**
+       * @type {Array<string|RegExp>}
+       */
+      this.sensitiveKeys = sensitiveKeys;
+   }
+
+   /**
+    * Records an expanded secret and the key path it was expanded at.
+    *
+    * @param {RedactionScope} scope - The redaction scope of the resolution.
+    *
+    * @param {string}         value - The secret value.
+    *
+    * @param {string}         keyPath - The key path of the `$secret` reference.
+    */
+   addSecret(scope, value, keyPath)
+   {
+      scope.keyPaths.add(keyPath);
+
+      _addValue(scope, value);
+   }
+
+   /**
+    * Records the values of all sensitive keys of a config object.
+    *
+    * @param {RedactionScope} scope - The redaction scope of the resolution.
+    *
+    * @param {*}              config - A config object or value.
+    *
+    * @param {string}         [keyPath=''] - The key path of the value.
+    */
+   collect(scope, config, keyPath = '')
+   {
+      if (this.sensitiveKeys.length === 0 || typeof config !== 'object' || config === null) { return; }
+
+      for (const key of Object.keys(config))
+      {
+         const childPath = _childPath(config, key, keyPath);
+
+         if (this.isSensitive(childPath)) { _addValue(scope, config[key]); }
+         else { this.collect(scope, config[key], childPath); }
+      }
+   }
+
+   /**
+    * Creates the redaction scope of a resolution.
+    *
+    * @returns {RedactionScope} An empty redaction scope.
+    */
+   createScope()
+   {
+      return { keyPaths: new Set(), values: new Set() };
+   }
+
+   /**
+    * Returns whether a key is sensitive.
+    *
+    * @param {string}   keyPath - The dotted key path; IE `db.password` or `servers[0].password`.
+    *
+    * @returns {boolean} True if the key matches a `sensitiveKeys` entry.
+    */
+   isSensitive(keyPath)
+   {
+      if (typeof keyPath !== 'string' || keyPath === '') { return false; }
+
+      const name = keyPath.replace(s_ARRAY_INDEX, '').split('.').pop();
+
+      return this.sensitiveKeys.some((entry) =>
+      {
+         if (typeof entry === 'string') { return entry === name || entry === keyPath; }
+
+         entry.lastIndex = 0;
+
+         if (entry.test(name)) { return true; }
+
+         entry.lastIndex = 0;
+
+         return entry.test(keyPath);
+      });
+   }
+
+   /**
+    * Returns a copy of a config object or value with the values of sensitive keys and any secrets expanded at their key
+    * paths masked.
+    *
+    * @param {*}              value - A config object or value.
+    *
+    * @param {string}         [keyPath=''] - The key path of the value.
+    *
+    * @param {RedactionScope} [scope] - The redaction scope providing the key paths of expanded secrets.
+    *
+    * @returns {*} The redacted copy.
+    */
+   redact(value, keyPath = '', scope = void 0)
+   {
+      if (this.isSensitive(keyPath) || (scope && scope.keyPaths.has(keyPath))) { return s_MASK; }
+
+      if (Array.isArray(value))
+      {
+         return value.map((entry, index) => this.redact(entry, `${keyPath}[${index}]`, scope));
+      }
+
+      if (typeof value === 'object' && value !== null)
+      {
+         const result = {};
+
+         for (const key of Object.keys(value))
+         {
+            result[key] = this.redact(value[key], _childPath(value, key, keyPath), scope);
+         }
+
+         return result;
+      }
+
+      return value;
+   }
+
+   /**
+    * Masks every occurrence of a sensitive value recorded in a redaction scope in a message.
+    *
+    * @param {string}         message - A log or error message.
+    *
+    * @param {RedactionScope} [scope] - The redaction scope of the resolution.
+    *
+    * @returns {string} The redacted message.
+    */
+   redactMessage(message, scope = void 0)
+   {
+      if (typeof message !== 'string' || !scope) { return message; }
+
+      // Longer values first, so that values containing other values are fully masked.
+      for (const value of Array.from(scope.values).sort((a, b) => b.length - a.length))
+      {
+         message = message.split(value).join(s_MASK);
+      }
+
+      return message;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Records a sensitive value; all string values of an object or array are recorded.
+ *
+ * @param {RedactionScope} scope - The redaction scope of the resolution.
+ *
+ * @param {*}              value - A sensitive value.
+ * @ignore
+ * @private
+ */
+function _addValue(scope, value)
+{
+   if (typeof value === 'string')
+   {
+      if (value !== '') { scope.values.add(value); }
+   }
+   else if (typeof value === 'object' && value !== null)
+   {
+      for (const key of Object.keys(value)) { _addValue(scope, value[key]); }
+   }
+}
+
+/**
+ * Returns the key path of a child value.
+ *
+ * @param {object}   parent - The parent object or array.
+ *
+ * @param {string}   key - The key or index of the child.
+ *
+ * @param {string}   keyPath - The key path of the parent.
+ *
+ * @returns {string} The key path of the child.
+ * @ignore
+ * @private
+ */
+function _childPath(parent, key, keyPath)
+{
+   if (Array.isArray(parent)) { return `${keyPath}[${key}]`; }
+
+   return keyPath === '' ? key : `${keyPath}.${key}`;
+}
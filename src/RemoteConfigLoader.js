@@ -0,0 +1,284 @@
+import crypto              from 'crypto';
+import fs                  from 'fs';
+import http                from 'http';
+import https               from 'https';
+import os                  from 'os';
+import path                from 'path';
+import { URL }             from 'url';
+
+import ConfigResolverError from './ConfigResolverError.js';
+
+/**
+ * The maximum number of redirects followed when fetching a remote config.
+ * @type {number}
+ * @ignore
+ */
+const s_MAX_REDIRECTS = 5;
+
+/**
+ * Matches an SRI hash; IE `sha384-<base64>`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_SRI_HASH = /^(sha256|sha384|sha512)-([A-Za-z0-9+/=]+)$/;
+
+/**
+ * The SRI hash algorithms in order of strength.
+ * @type {Array<string>}
+ * @ignore
+ */
+const s_SRI_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Matches the whitespace separating SRI hashes.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_WHITESPACE = /\s+/;
+
+/**
+ * Fetches remote configs referenced by `https://` URLs in `extends` entries and caches them on disk. Each fetched
+ * config is written to the cache directory, so that it is available when offline and to synchronous resolution which
+ * only reads cached configs. When a fetch fails any cached copy is used.
+ *
+ * An `integrity` of SRI hashes; IE `sha384-<base64>` pins the contents of a remote config. Fetched and cached
+ * contents are verified; when several hashes are given any hash of the strongest algorithm must match.
+ *
+ * Instances are created by `ConfigResolver` from `remote` in `ConfigResolverData`.
+ */
+export default class RemoteConfigLoader
+{
+   /**
+    * Creates a remote config loader.
+    *
+    * @param {RemoteConfigData}   [remote] - The remote config options.
+    */
+   constructor({ allowHttp = false, cacheDir = path.join(os.homedir(), '.cache', 'typhonjs-config-resolver'),
+    offline = false, timeout = 10000 } = {})
+   {
+      if (typeof allowHttp !== 'boolean') { throw new TypeError(`'remote.allowHttp' is not a 'boolean'.`); }
+      if (typeof cacheDir !== 'string') { throw new TypeError(`'remote.cacheDir' is not a 'string'.`); }
+      if (typeof offline !== 'boolean') { throw new TypeError(`'remote.offline' is not a 'boolean'.`); }
+      if (!Number.isInteger(timeout) || timeout <= 0)
+      {
+         throw new TypeError(`'remote.timeout' is not a positive 'integer'.`);
+      }
+
+      /**
+       * @type {boolean}
+       */
+      this.allowHttp = allowHttp;
+
+      /**
+       * @type {string}
+       */
+      this.cacheDir = path.resolve(cacheDir);
+
+      /**
+       * @type {boolean}
+       */
+      this.offline = offline;
+
+      /**
+       * @type {number}
+       */
+      this.timeout = timeout;
+   }
+
+   /**
+    * Fetches a remote config caching the contents or in the offline mode reads the cached contents. When the fetch
+    * fails any cached contents are returned.
+    *
+    * @param {string}   url - The URL of the remote config.
+    *
+    * @param {string}   [integrity] - SRI hashes pinning the contents.
+    *
+    * @returns {Promise<string>} The config file contents.
+    */
+   fetch(url, integrity = void 0)
+   {
+      if (this.offline) { return new Promise((resolve) => resolve(this.readCache(url, integrity))); }
+
+      return new Promise((resolve, reject) => this._get(url, 0, resolve, reject)).then((data) =>
+      {
+         this._verify(data, integrity, url);
+
+         this._writeCache(url, data);
+
+         return data;
+      }, (err) =>
+      {
+         if (err instanceof ConfigResolverError && err.code === 'INTEGRITY_MISMATCH') { throw err; }
+
+         if (!fs.existsSync(this._cachePath(url))) { throw err; }
+
+         return this.readCache(url, integrity);
+      });
+   }
+
+   /**
+    * Reads the cached contents of a remote config.
+    *
+    * @param {string}   url - The URL of the remote config.
+    *
+    * @param {string}   [integrity] - SRI hashes pinning the contents.
+    *
+    * @returns {string} The config file contents.
+    * @throws {ConfigResolverError} A `NOT_FOUND` error if the config is not cached.
+    */
+   readCache(url, integrity = void 0)
+   {
+      this._checkProtocol(url);
+
+      let data;
+
+      try
+      {
+         data = fs.readFileSync(this._cachePath(url), 'utf8');
+      }
+      catch (err)
+      {
+         throw new ConfigResolverError('NOT_FOUND', `Remote config '${url}' is not cached; ${this.offline ?
+          `'remote.offline' is set` : `remote configs are fetched by 'resolveAsync'`}.`, { filePath: url, cause: err });
+      }
+
+      this._verify(data, integrity, url);
+
+      return data;
+   }
+
+   /**
+    * Returns the cache file path of a remote config.
+    *
+    * @param {string}   url - The URL of the remote config.
+    *
+    * @returns {string} The cache file path.
+    * @private
+    */
+   _cachePath(url)
+   {
+      return path.join(this.cacheDir, crypto.createHash('sha256').update(url).digest('hex'));
+   }
+
+   /**
+    * Throws if the URL is not `https://` and `allowHttp` is not set.
+    *
+    * @param {string}   url - A URL.
+    * @private
+    */
+   _checkProtocol(url)
+   {
+      const protocol = new URL(url).protocol;
+
+      if (protocol !== 'https:' && !(protocol === 'http:' && this.allowHttp))
+      {
+         throw new ConfigResolverError('LOAD_ERROR',
+          `Remote config '${url}' is not 'https'; set 'remote.allowHttp' to load 'http' URLs.`, { filePath: url });
+      }
+   }
+
+   /**
+    * Performs a GET request following redirects.
+    *
+    * @param {string}   url - The URL.
+    *
+    * @param {number}   redirects - The number of redirects followed.
+    *
+    * @param {function} resolve - Receives the response body.
+    *
+    * @param {function} reject - Receives any error.
+    * @private
+    */
+   _get(url, redirects, resolve, reject)
+   {
+      try { this._checkProtocol(url); }
+      catch (err) { reject(err); return; }
+
+      const request = (url.indexOf('https:') === 0 ? https : http).get(url, { timeout: this.timeout }, (response) =>
+      {
+         const { statusCode, headers } = response;
+
+         if (statusCode >= 300 && statusCode < 400 && headers.location && redirects < s_MAX_REDIRECTS)
+         {
+            response.resume();
+
+            this._get(new URL(headers.location, url).href, redirects + 1, resolve, reject);
+            return;
+         }
+
+         if (statusCode !== 200)
+         {
+            response.resume();
+
+            reject(new ConfigResolverError(statusCode === 404 ? 'NOT_FOUND' : 'LOAD_ERROR',
+             `Failed to fetch remote config '${url}': HTTP ${statusCode}.`, { filePath: url }));
+            return;
+         }
+
+         const chunks = [];
+
+         response.on('data', (chunk) => chunks.push(chunk));
+         response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+         response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.timeout}ms.`)));
+
+      request.on('error', (err) => reject(new ConfigResolverError('LOAD_ERROR',
+       `Failed to fetch remote config '${url}': ${err.message}`, { filePath: url, cause: err })));
+   }
+
+   /**
+    * Verifies config file contents against SRI hashes.
+    *
+    * @param {string}   data - The config file contents.
+    *
+    * @param {string}   [integrity] - SRI hashes; IE `sha384-<base64>`.
+    *
+    * @param {string}   url - The URL of the remote config included in any error message.
+    * @private
+    */
+   _verify(data, integrity, url)
+   {
+      if (typeof integrity === 'undefined') { return; }
+
+      const hashes = typeof integrity === 'string' ? integrity.trim().split(s_WHITESPACE).map((hash) =>
+       s_SRI_HASH.exec(hash)).filter((match) => match) : [];
+
+      if (hashes.length === 0)
+      {
+         throw new ConfigResolverError('INTEGRITY_MISMATCH', `Remote config '${url}' has no valid 'integrity' hash.`,
+          { filePath: url });
+      }
+
+      const strongest = Math.max(...hashes.map((match) => s_SRI_ALGORITHMS.indexOf(match[1])));
+      const algorithm = s_SRI_ALGORITHMS[strongest];
+
+      const digest = crypto.createHash(algorithm).update(data, 'utf8').digest('base64');
+
+      if (!hashes.some((match) => match[1] === algorithm && match[2] === digest))
+      {
+         throw new ConfigResolverError('INTEGRITY_MISMATCH', `Remote config '${url}' does not match its 'integrity'; ${
+          algorithm}-${digest}.`, { filePath: url });
+      }
+   }
+
+   /**
+    * Writes the contents of a remote config to the cache directory.
+    *
+    * @param {string}   url - The URL of the remote config.
+    *
+    * @param {string}   data - The config file contents.
+    * @private
+    */
+   _writeCache(url, data)
+   {
+      const cachePath = this._cachePath(url);
+
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+
+      // Write then rename, so that a partially written file is never read.
+      fs.writeFileSync(`${cachePath}.${process.pid}.tmp`, data);
+      fs.renameSync(`${cachePath}.${process.pid}.tmp`, cachePath);
+   }
+}
@@ -0,0 +1,232 @@
+import ConfigResolverError from './ConfigResolverError.js';
+
+/**
+ * Matches an array index of a key path.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_ARRAY_INDEX = /\[(\d+)\]/g;
+
+/**
+ * Provides read only access to a deep-frozen resolved config. Values are read by dotted key paths with any array
+ * indexes; IE `server.hosts[0]`. `withOverrides` merges runtime overrides by the merge rules of `extends` returning a
+ * new resolved config.
+ *
+ * Instances are returned by the resolve methods of `ConfigResolver` when the `frozen` option is set.
+ */
+export default class ResolvedConfig
+{
+   /**
+    * Deep freezes a copy of a resolved config.
+    *
+    * @param {object}   config - A resolved config object.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {function} [options.source] - Returns the config file path, module name or config name supplying the value
+    *                                      of a key path.
+    *
+    * @param {function} [options.merge] - Merges overrides on top of an unfrozen copy of the config returning a new
+    *                                     ResolvedConfig.
+    */
+   constructor(config, { source = () => void 0, merge = void 0 } = {})
+   {
+      if (typeof config !== 'object' || config === null) { throw new TypeError(`'config' is not an 'object'.`); }
+
+      /**
+       * The deep-frozen config.
+       * @type {object}
+       * @private
+       */
+      this._config = _freeze(_clone(config));
+
+      /**
+       * @type {function}
+       * @private
+       */
+      this._merge = merge;
+
+      /**
+       * @type {function}
+       * @private
+       */
+      this._source = source;
+
+      Object.freeze(this);
+   }
+
+   /**
+    * Returns the value at a key path.
+    *
+    * @param {string}   keyPath - A dotted key path; IE `server.port`.
+    *
+    * @param {*}        [fallback] - Returned if the key path is not set.
+    *
+    * @returns {*} The frozen value or the fallback.
+    */
+   get(keyPath, fallback = void 0)
+   {
+      const value = _access(this._config, keyPath);
+
+      return typeof value === 'undefined' ? fallback : value;
+   }
+
+   /**
+    * Returns the value at a key path checking its type.
+    *
+    * @param {string}   keyPath - A dotted key path; IE `server.port`.
+    *
+    * @param {string}   type - The expected type; `array`, `boolean`, `function`, `null`, `number`, `object` or
+    *                          `string`.
+    *
+    * @returns {*} The frozen value.
+    * @throws {ConfigResolverError} A `TYPE_MISMATCH` error naming the key path and the source config of the value.
+    */
+   getTyped(keyPath, type)
+   {
+      const value = _access(this._config, keyPath);
+
+      const actual = _typeOf(value);
+
+      if (actual !== type)
+      {
+         const source = typeof value === 'undefined' ? void 0 : this._source(keyPath);
+
+         throw new ConfigResolverError('TYPE_MISMATCH', `'${keyPath}' is not a '${type}'; found '${actual}'${
+          source ? ` from '${source}'` : ''}.`, { filePath: source });
+      }
+
+      return value;
+   }
+
+   /**
+    * Returns whether a key path is set.
+    *
+    * @param {string}   keyPath - A dotted key path; IE `server.port`.
+    *
+    * @returns {boolean} True if the key path is set.
+    */
+   has(keyPath)
+   {
+      return typeof _access(this._config, keyPath) !== 'undefined';
+   }
+
+   /**
+    * Returns the deep-frozen config.
+    *
+    * @returns {object} The frozen config object.
+    */
+   toJSON()
+   {
+      return this._config;
+   }
+
+   /**
+    * Returns a new resolved config with overrides merged by the same merge rules and precedence as `extends`.
+    *
+    * @param {object}   overrides - Config data with a higher precedence than the resolved config.
+    *
+    * @returns {ResolvedConfig} The new frozen config.
+    */
+   withOverrides(overrides)
+   {
+      if (typeof overrides !== 'object' || overrides === null)
+      {
+         throw new TypeError(`'overrides' is not an 'object'.`);
+      }
+
+      if (typeof this._merge !== 'function') { throw new Error('Overrides are not supported.'); }
+
+      return this._merge(_clone(this._config), overrides);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the value at a key path.
+ *
+ * @param {object}   config - A config object.
+ *
+ * @param {string}   keyPath - A dotted key path with any array indexes.
+ *
+ * @returns {*} The value or undefined if not set.
+ * @ignore
+ * @private
+ */
+function _access(config, keyPath)
+{
+   if (typeof keyPath !== 'string') { throw new TypeError(`'keyPath' is not a 'string'.`); }
+
+   let value = config;
+
+   for (const segment of keyPath.replace(s_ARRAY_INDEX, '.$1').split('.'))
+   {
+      value = typeof value === 'object' && value !== null && value.hasOwnProperty(segment) ? value[segment] : void 0;
+   }
+
+   return value;
+}
+
+/**
+ * Copies plain objects and arrays of config data; any other values such as functions are copied by reference.
+ *
+ * @param {*}  value - Config data.
+ *
+ * @returns {*} The copy.
+ * @ignore
+ * @private
+ */
+function _clone(value)
+{
+   if (Array.isArray(value)) { return value.map(_clone); }
+
+   if (typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype)
+   {
+      const result = {};
+
+      for (const key of Object.keys(value)) { result[key] = _clone(value[key]); }
+
+      return result;
+   }
+
+   return value;
+}
+
+/**
+ * Deep freezes plain objects and arrays.
+ *
+ * @param {*}  value - Config data.
+ *
+ * @returns {*} The frozen value.
+ * @ignore
+ * @private
+ */
+function _freeze(value)
+{
+   if (Array.isArray(value) ||
+    (typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype))
+   {
+      for (const key of Object.keys(value)) { _freeze(value[key]); }
+
+      Object.freeze(value);
+   }
+
+   return value;
+}
+
+/**
+ * Returns the type name of a value distinguishing arrays and null from objects.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {string} The type name.
+ * @ignore
+ * @private
+ */
+function _typeOf(value)
+{
+   if (value === null) { return 'null'; }
+
+   return Array.isArray(value) ? 'array' : typeof value;
+}
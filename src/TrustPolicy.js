@@ -0,0 +1,124 @@
+import path                from 'path';
+
+/**
+ * Restricts which executable configs (`.js`, `.cjs` and `.mjs` files and NPM modules) may be loaded by `extends`.
+ * Data configs such as JSON, JSON5, TOML and YAML files are always trusted.
+ *
+ * An executable config is rejected when it matches a `deny` entry or in the `dataOnly` mode. Otherwise it is trusted
+ * when it matches an `allow` entry. Any other executable config is trusted when approved by the `approve` hook or, if
+ * there is no hook, when there are no `allow` entries.
+ *
+ * `allow` / `deny` entries are NPM module names matching the module and any subpath; IE `@scope` matches
+ * `@scope/myapp-config` or directory roots; IE `./configs` matches any config file within the directory. Directory
+ * roots are resolved relative to the current working directory.
+ *
+ * Instances are created by `ConfigResolver` when `trust` is set in `ConfigResolverData`.
+ */
+export default class TrustPolicy
+{
+   /**
+    * Creates a trust policy.
+    *
+    * @param {TrustPolicyData}   [trust] - The trust policy data.
+    */
+   constructor({ allow = [], deny = [], dataOnly = false, approve = void 0 } = {})
+   {
+      if (!Array.isArray(allow) || !allow.every((entry) => typeof entry === 'string'))
+      {
+         throw new TypeError(`'trust.allow' is not an 'array' of strings.`);
+      }
+
+      if (!Array.isArray(deny) || !deny.every((entry) => typeof entry === 'string'))
+      {
+         throw new TypeError(`'trust.deny' is not an 'array' of strings.`);
+      }
+
+      if (typeof dataOnly !== 'boolean') { throw new TypeError(`'trust.dataOnly' is not a 'boolean'.`); }
+
+      if (typeof approve !== 'undefined' && typeof approve !== 'function')
+      {
+         throw new TypeError(`'trust.approve' is not a 'function'.`);
+      }
+
+      /**
+       * @type {Array<string>}
+       */
+      this.allow = allow;
+
+      /**
+       * @type {Array<string>}
+       */
+      this.deny = deny;
+
+      /**
+       * @type {boolean}
+       */
+      this.dataOnly = dataOnly;
+
+      /**
+       * @type {function(string, object): boolean|undefined}
+       */
+      this.approve = approve;
+   }
+
+   /**
+    * Checks whether an executable config may be loaded.
+    *
+    * @param {object}   entry - Describes the executable config.
+    *
+    * @param {string}   entry.entry - The `extends` entry.
+    *
+    * @param {string}   entry.loadPath - The resolved file path or module name.
+    *
+    * @param {string}   [entry.moduleName] - The NPM module name if the entry is a module.
+    *
+    * @param {string}   entry.referencedFrom - The config which declares the `extends` entry.
+    *
+    * @returns {string|undefined} The reason the config is rejected or undefined if trusted.
+    */
+   check({ entry, loadPath, moduleName = void 0, referencedFrom })
+   {
+      if (this.deny.some((pattern) => _matches(pattern, loadPath, moduleName))) { return 'denied by trust.deny'; }
+
+      if (this.dataOnly) { return 'trust.dataOnly only allows data configs'; }
+
+      if (this.allow.some((pattern) => _matches(pattern, loadPath, moduleName))) { return void 0; }
+
+      if (this.approve)
+      {
+         return this.approve(loadPath, { entry, moduleName, referencedFrom }) === true ? void 0 :
+          'not approved by trust.approve';
+      }
+
+      return this.allow.length > 0 ? 'not in trust.allow' : void 0;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns whether a config matches an `allow` / `deny` entry.
+ *
+ * @param {string}   pattern - An NPM module name or directory root.
+ *
+ * @param {string}   loadPath - The resolved file path or module name.
+ *
+ * @param {string}   [moduleName] - The NPM module name if the config is a module.
+ *
+ * @returns {boolean} True if the config matches.
+ * @ignore
+ * @private
+ */
+function _matches(pattern, loadPath, moduleName)
+{
+   if (path.isAbsolute(pattern) || pattern.charAt(0) === '.')
+   {
+      if (!path.isAbsolute(loadPath)) { return false; }
+
+      const relative = path.relative(path.resolve(pattern), loadPath);
+
+      return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+   }
+
+   return typeof moduleName === 'string' && (moduleName === pattern || moduleName.indexOf(`${pattern}/`) === 0);
+}
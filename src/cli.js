@@ -0,0 +1,284 @@
+import fs                  from 'fs';
+import path                from 'path';
+import yaml                from 'js-yaml';
+
+import ConfigResolver      from './ConfigResolver.js';
+import { loadJSON }        from './loaders.js';
+
+/**
+ * The number of file / key path arguments of each command.
+ * @type {Map<string, number>}
+ * @ignore
+ */
+const s_COMMANDS = new Map([['chain', 1], ['get', 2], ['print', 1], ['validate', 1]]);
+
+/**
+ * The options which take a value.
+ * @type {Array<string>}
+ * @ignore
+ */
+const s_OPTIONS = ['format', 'profile', 'resolver-data', 'schema'];
+
+/**
+ * Matches an array index of a key path.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_ARRAY_INDEX = /\[(\d+)\]/g;
+
+/**
+ * The usage shown for `--help` and invalid arguments.
+ * @type {string}
+ * @ignore
+ */
+const s_USAGE = `Usage: config-resolver <command> [options]
+
+Commands:
+   print <file>               Prints the resolved config.
+   chain <file>               Lists the \`extends\` load order of the resolved config.
+   validate <file>            Performs pre and post-validation reporting every failure; exits with 1 on failure.
+   get <file> <key.path>      Prints a single value of the resolved config; IE \`server.hosts[0]\`.
+
+Options:
+   --resolver-data <file>     A JSON file of resolver data; IE \`defaultValues\`, \`preValidate\`, \`postValidate\`
+                              and \`upgradeMergeList\`.
+   --schema <file>            A JSON Schema file validating the resolved config or a file of
+                              \`{ "pre": ..., "post": ... }\` schemas validating each loaded config and the
+                              resolved config.
+   --profile <name>           The profile section to merge; sections are keyed by \`profiles\` unless \`profileKey\`
+                              is set in the resolver data.
+   --format <json|yaml>       The output format of \`print\` and \`get\`; defaults to \`json\`.
+   --help                     Shows this usage.`;
+
+/**
+ * Runs the `config-resolver` command line tool. Config files are resolved by `ConfigResolver.resolveFile`.
+ *
+ * @param {Array<string>}  argv - The command line arguments without the node executable and script.
+ *
+ * @param {object}         [options] - Optional parameters.
+ *
+ * @param {string}         [options.cwd=process.cwd()] - The directory file arguments are relative to.
+ *
+ * @param {{write: function(string)}}  [options.stdout=process.stdout] - Receives the output.
+ *
+ * @param {{write: function(string)}}  [options.stderr=process.stderr] - Receives errors.
+ *
+ * @returns {number} The exit code; 0 on success, 1 when resolution or validation fails and 2 for invalid arguments.
+ */
+export default function run(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {})
+{
+   let args;
+
+   try
+   {
+      args = _parseArgs(argv);
+   }
+   catch (err)
+   {
+      stderr.write(`${err.message}\n\n${s_USAGE}\n`);
+      return 2;
+   }
+
+   if (args.help)
+   {
+      stdout.write(`${s_USAGE}\n`);
+      return 0;
+   }
+
+   const { command, options, params } = args;
+
+   try
+   {
+      const resolverData = options['resolver-data'] ? _readJSON(options['resolver-data'], cwd) : {};
+
+      if (options.schema)
+      {
+         const schema = _readJSON(options.schema, cwd);
+
+         resolverData.schema = Object.assign({}, resolverData.schema, _isPrePostSchema(schema) ? schema :
+          { post: schema });
+      }
+
+      if (options.profile && typeof resolverData.profileKey === 'undefined') { resolverData.profileKey = 'profiles'; }
+
+      // Every validation failure is reported.
+      if (command === 'validate') { resolverData.validationMode = 'collect'; }
+
+      const config = new ConfigResolver(resolverData).resolveFile(params[0], { cwd, profile: options.profile });
+
+      switch (command)
+      {
+         case 'chain':
+            for (const entry of [].concat(config.extends || [])) { stdout.write(`${entry}\n`); }
+            break;
+
+         case 'get':
+         {
+            const value = _getValue(config, params[1]);
+
+            if (typeof value === 'undefined')
+            {
+               stderr.write(`'${params[1]}' is not set.\n`);
+               return 1;
+            }
+
+            stdout.write(typeof value === 'string' ? `${value}\n` : _format(value, options.format));
+            break;
+         }
+
+         case 'print':
+            stdout.write(_format(config, options.format));
+            break;
+
+         case 'validate':
+            stdout.write(`'${params[0]}' is valid.\n`);
+            break;
+      }
+   }
+   catch (err)
+   {
+      stderr.write(`${err.message}\n`);
+      return 1;
+   }
+
+   return 0;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Formats a value as JSON or YAML.
+ *
+ * @param {*}        value - The value.
+ *
+ * @param {string}   [format='json'] - `json` or `yaml`.
+ *
+ * @returns {string} The formatted value.
+ * @ignore
+ * @private
+ */
+function _format(value, format = 'json')
+{
+   return format === 'yaml' ? yaml.safeDump(value, { skipInvalid: true }) : `${JSON.stringify(value, null, 3)}\n`;
+}
+
+/**
+ * Returns the value at a dotted key path with any array indexes; IE `server.hosts[0]`.
+ *
+ * @param {object}   config - A config object.
+ *
+ * @param {string}   keyPath - The key path.
+ *
+ * @returns {*} The value or undefined if not set.
+ * @ignore
+ * @private
+ */
+function _getValue(config, keyPath)
+{
+   let value = config;
+
+   for (const segment of keyPath.replace(s_ARRAY_INDEX, '.$1').split('.'))
+   {
+      value = typeof value === 'object' && value !== null && value.hasOwnProperty(segment) ? value[segment] : void 0;
+   }
+
+   return value;
+}
+
+/**
+ * Returns whether a schema file provides separate pre and post-validation schemas; IE `{ "pre": ..., "post": ... }`.
+ *
+ * @param {*}  schema - The parsed schema file.
+ *
+ * @returns {boolean} True if the only keys are `pre` and / or `post`.
+ * @ignore
+ * @private
+ */
+function _isPrePostSchema(schema)
+{
+   if (typeof schema !== 'object' || schema === null) { return false; }
+
+   const keys = Object.keys(schema);
+
+   return keys.length > 0 && keys.every((key) => key === 'pre' || key === 'post');
+}
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {Array<string>}  argv - The command line arguments.
+ *
+ * @returns {{command: string, options: object<string, string>, params: Array<string>, help: boolean}} The parsed
+ *                                                                                                    arguments.
+ * @throws {Error} If the arguments are invalid.
+ * @ignore
+ * @private
+ */
+function _parseArgs(argv)
+{
+   const options = {};
+   const params = [];
+
+   let help = false;
+
+   for (let cntr = 0; cntr < argv.length; cntr++)
+   {
+      const arg = argv[cntr];
+
+      if (arg === '--help' || arg === '-h')
+      {
+         help = true;
+      }
+      else if (arg.indexOf('--') === 0)
+      {
+         const index = arg.indexOf('=');
+         const name = index >= 0 ? arg.slice(2, index) : arg.slice(2);
+
+         if (s_OPTIONS.indexOf(name) < 0) { throw new Error(`Unknown option '${arg}'.`); }
+
+         const value = index >= 0 ? arg.slice(index + 1) : argv[++cntr];
+
+         if (typeof value === 'undefined' || value === '') { throw new Error(`Option '--${name}' requires a value.`); }
+
+         options[name] = value;
+      }
+      else
+      {
+         params.push(arg);
+      }
+   }
+
+   const command = params.shift();
+
+   if (help) { return { command, options, params, help }; }
+
+   if (!s_COMMANDS.has(command)) { throw new Error(command ? `Unknown command '${command}'.` : 'Missing command.'); }
+
+   if (params.length !== s_COMMANDS.get(command))
+   {
+      throw new Error(`'${command}' requires ${s_COMMANDS.get(command) === 1 ? '<file>' : '<file> <key.path>'}.`);
+   }
+
+   if (options.format && options.format !== 'json' && options.format !== 'yaml')
+   {
+      throw new Error(`'--format' is not 'json' or 'yaml'.`);
+   }
+
+   return { command, options, params, help };
+}
+
+/**
+ * Reads a JSON file with comments stripped.
+ *
+ * @param {string}   filePath - The file path.
+ *
+ * @param {string}   cwd - The directory the file path is relative to.
+ *
+ * @returns {*} The parsed JSON.
+ * @ignore
+ * @private
+ */
+function _readJSON(filePath, cwd)
+{
+   return loadJSON(fs.readFileSync(path.resolve(cwd, filePath), 'utf8'));
+}
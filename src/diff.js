@@ -0,0 +1,246 @@
+/**
+ * Returns the sorted key paths of all leaf values which are added, removed or changed between two config objects.
+ * Key paths are dotted accessors with array elements indexed by position; IE `server.hosts[0]`.
+ *
+ * @param {object}   oldConfig - The previous config object.
+ *
+ * @param {object}   newConfig - The new config object.
+ *
+ * @returns {Array<string>} The changed key paths.
+ */
+export function changedKeyPaths(oldConfig, newConfig)
+{
+   const oldValues = flattenKeyPaths(oldConfig);
+   const newValues = flattenKeyPaths(newConfig);
+
+   const changed = [];
+
+   for (const [keyPath, value] of newValues)
+   {
+      if (!oldValues.has(keyPath) || JSON.stringify(oldValues.get(keyPath)) !== JSON.stringify(value))
+      {
+         changed.push(keyPath);
+      }
+   }
+
+   for (const keyPath of oldValues.keys())
+   {
+      if (!newValues.has(keyPath)) { changed.push(keyPath); }
+   }
+
+   return changed.sort();
+}
+
+/**
+ * Compares two config objects returning the added, removed and changed key paths. Object keys are compared by name and
+ * arrays by position unless `arrayMode` returns a mode for the array key:
+ *
+ * `{ key: field }`: Elements are matched by the value of `field`; IE `plugins[name=foo]`. Elements without the field
+ * are compared as a set.
+ * `{ set: true }`: Elements are compared as a set ignoring order; added or removed elements are reported with the key
+ * path of the array followed by `[]`; IE `ignore[]`. A single value is compared as a one element array.
+ *
+ * Added and removed values are reported at the highest key path; IE an added `server` object is a single entry.
+ *
+ * @param {object}   configA - The previous config object.
+ *
+ * @param {object}   configB - The new config object.
+ *
+ * @param {function} [arrayMode] - Receives the key path and key name of an array returning its comparison mode.
+ *
+ * @returns {{added: Array<DiffEntry>, removed: Array<DiffEntry>, changed: Array<DiffEntry>}} The differences.
+ */
+export function diffConfigs(configA, configB, arrayMode = () => void 0)
+{
+   const changes = { added: [], removed: [], changed: [] };
+
+   _diffValue(configA, configB, '', '', arrayMode, changes);
+
+   return changes;
+}
+
+/**
+ * Flattens a config object to a map of key path to leaf value. Empty objects and arrays are leaf values.
+ *
+ * @param {*}        value - The config object or value to flatten.
+ *
+ * @param {string}   [keyPath=''] - The key path of the value.
+ *
+ * @param {Map<string, *>}  [result] - The map to add key paths to.
+ *
+ * @returns {Map<string, *>} A map of key path to leaf value.
+ */
+export function flattenKeyPaths(value, keyPath = '', result = new Map())
+{
+   if (Array.isArray(value) && value.length > 0)
+   {
+      value.forEach((entry, index) => flattenKeyPaths(entry, `${keyPath}[${index}]`, result));
+   }
+   else if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0)
+   {
+      for (const key of Object.keys(value))
+      {
+         flattenKeyPaths(value[key], keyPath === '' ? key : `${keyPath}.${key}`, result);
+      }
+   }
+   else if (keyPath !== '')
+   {
+      result.set(keyPath, value);
+   }
+
+   return result;
+}
+
+/**
+ * Formats the differences returned by `diffConfigs` as text with one line per entry; added entries are prefixed by
+ * `+`, removed entries by `-` and changed entries by `~`. Values are formatted as JSON.
+ *
+ * @param {{added: Array<DiffEntry>, removed: Array<DiffEntry>, changed: Array<DiffEntry>}} changes - The differences.
+ *
+ * @returns {string} The text; empty if there are no differences.
+ */
+export function formatDiff(changes)
+{
+   return [].concat(
+    changes.added.map((entry) => `+ ${entry.keyPath}: ${JSON.stringify(entry.value)}`),
+     changes.removed.map((entry) => `- ${entry.keyPath}: ${JSON.stringify(entry.value)}`),
+      changes.changed.map((entry) => `~ ${entry.keyPath}: ${JSON.stringify(entry.from)} -> ${
+       JSON.stringify(entry.to)}`)).join('\n');
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Compares arrays as sets of elements adding the differences.
+ *
+ * @param {Array<*>} arrayA - The previous elements.
+ *
+ * @param {Array<*>} arrayB - The new elements.
+ *
+ * @param {string}   keyPath - The key path of the array.
+ *
+ * @param {{added: Array<DiffEntry>, removed: Array<DiffEntry>, changed: Array<DiffEntry>}} changes - The differences.
+ * @ignore
+ * @private
+ */
+function _diffSet(arrayA, arrayB, keyPath, changes)
+{
+   const elementsA = arrayA.map((element) => JSON.stringify(element));
+   const elementsB = arrayB.map((element) => JSON.stringify(element));
+
+   arrayB.forEach((element, index) =>
+   {
+      if (elementsA.indexOf(elementsB[index]) < 0) { changes.added.push({ keyPath: `${keyPath}[]`, value: element }); }
+   });
+
+   arrayA.forEach((element, index) =>
+   {
+      if (elementsB.indexOf(elementsA[index]) < 0)
+      {
+         changes.removed.push({ keyPath: `${keyPath}[]`, value: element });
+      }
+   });
+}
+
+/**
+ * Compares two values adding the differences.
+ *
+ * @param {*}        valueA - The previous value.
+ *
+ * @param {*}        valueB - The new value.
+ *
+ * @param {string}   keyPath - The key path of the values.
+ *
+ * @param {string}   key - The key name of the values.
+ *
+ * @param {function} arrayMode - Returns the comparison mode of an array.
+ *
+ * @param {{added: Array<DiffEntry>, removed: Array<DiffEntry>, changed: Array<DiffEntry>}} changes - The differences.
+ * @ignore
+ * @private
+ */
+function _diffValue(valueA, valueB, keyPath, key, arrayMode, changes)
+{
+   if (typeof valueA === 'undefined')
+   {
+      if (typeof valueB !== 'undefined') { changes.added.push({ keyPath, value: valueB }); }
+      return;
+   }
+
+   if (typeof valueB === 'undefined') { changes.removed.push({ keyPath, value: valueA }); return; }
+
+   if (_isObject(valueA) && _isObject(valueB))
+   {
+      const keys = Object.keys(valueA).concat(Object.keys(valueB).filter((entry) => !valueA.hasOwnProperty(entry)));
+
+      for (const childKey of keys)
+      {
+         _diffValue(valueA[childKey], valueB[childKey], keyPath === '' ? childKey : `${keyPath}.${childKey}`, childKey,
+          arrayMode, changes);
+      }
+
+      return;
+   }
+
+   const mode = (Array.isArray(valueA) || Array.isArray(valueB)) && keyPath !== '' ? arrayMode(keyPath, key) : void 0;
+
+   if (mode && mode.set)
+   {
+      _diffSet([].concat(valueA), [].concat(valueB), keyPath, changes);
+      return;
+   }
+
+   if (mode && typeof mode.key === 'string' && Array.isArray(valueA) && Array.isArray(valueB))
+   {
+      const field = mode.key;
+
+      const keyed = (element) => _isObject(element) && typeof element[field] !== 'undefined';
+
+      const elementsA = new Map(valueA.filter(keyed).map((element) => [JSON.stringify(element[field]), element]));
+      const elementsB = new Map(valueB.filter(keyed).map((element) => [JSON.stringify(element[field]), element]));
+
+      const ids = Array.from(elementsA.keys()).concat(Array.from(elementsB.keys()).filter((id) => !elementsA.has(id)));
+
+      for (const id of ids)
+      {
+         const element = elementsA.get(id) || elementsB.get(id);
+
+         _diffValue(elementsA.get(id), elementsB.get(id), `${keyPath}[${field}=${element[field]}]`, key, arrayMode,
+          changes);
+      }
+
+      _diffSet(valueA.filter((element) => !keyed(element)), valueB.filter((element) => !keyed(element)), keyPath,
+       changes);
+
+      return;
+   }
+
+   if (Array.isArray(valueA) && Array.isArray(valueB))
+   {
+      for (let index = 0; index < Math.max(valueA.length, valueB.length); index++)
+      {
+         _diffValue(valueA[index], valueB[index], `${keyPath}[${index}]`, key, arrayMode, changes);
+      }
+
+      return;
+   }
+
+   if (JSON.stringify(valueA) !== JSON.stringify(valueB))
+   {
+      changes.changed.push({ keyPath, from: valueA, to: valueB });
+   }
+}
+
+/**
+ * Returns whether a value is a plain object.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {boolean} True if the value is a non-null object which is not an array.
+ * @ignore
+ * @private
+ */
+function _isObject(value)
+{
+   return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
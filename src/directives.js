@@ -0,0 +1,169 @@
+/**
+ * The value of a key removing the key when merged.
+ * @type {string}
+ * @ignore
+ */
+const s_UNSET = '$unset';
+
+/**
+ * The keys of merge directive objects.
+ * @type {Array<string>}
+ * @ignore
+ */
+const s_DIRECTIVE_KEYS = ['$prepend', '$remove', '$replace'];
+
+/**
+ * Applies a merge directive of a source config value to the target value it is merged with:
+ *
+ * `"$unset"`: Removes the key; undefined is returned.
+ * `{ "$replace": value }`: The value replaces the target value without merging.
+ * `{ "$remove": ["name"] }`: Removes target array elements equal to a name or objects with a matching `name`; IE
+ * `plugins` or `upgradeMergeList` entries.
+ * `{ "$prepend": [...] }`: Adds the elements before the target elements.
+ *
+ * `$remove` and `$prepend` may be combined; elements are removed before any are prepended.
+ *
+ * @param {*}        target - The target value.
+ *
+ * @param {*}        directive - A merge directive.
+ *
+ * @param {string}   keyPath - The dotted key path of the merged values included in any error message.
+ *
+ * @param {boolean}  [reversed=false] - Whether the target array is in reverse order as with merged `plugins`; replaced
+ *                                      and prepended elements are then reversed.
+ *
+ * @returns {*} The merged value or undefined if the key is removed.
+ */
+export function applyDirective(target, directive, keyPath, reversed = false)
+{
+   if (directive === s_UNSET) { return void 0; }
+
+   if (directive.hasOwnProperty('$replace'))
+   {
+      if (Object.keys(directive).length > 1)
+      {
+         throw new TypeError(`'${keyPath}' combines '$replace' with other merge directives.`);
+      }
+
+      const value = stripDirectives(directive.$replace, keyPath);
+
+      return reversed && Array.isArray(value) ? value.slice().reverse() : value;
+   }
+
+   let result = target;
+
+   if (directive.hasOwnProperty('$remove'))
+   {
+      const names = _toArray(directive.$remove);
+
+      if (!names.every((name) => typeof name === 'string'))
+      {
+         throw new TypeError(`'${keyPath}.$remove' is not a 'string' or an 'array' of strings.`);
+      }
+
+      result = typeof result === 'undefined' ? result : _toArray(result).filter((entry) => names.indexOf(entry) < 0 &&
+       !(typeof entry === 'object' && entry !== null && names.indexOf(entry.name) >= 0));
+   }
+
+   if (directive.hasOwnProperty('$prepend'))
+   {
+      const entries = _toArray(stripDirectives(directive.$prepend, keyPath));
+
+      result = reversed ? _toArray(result).concat(entries.slice().reverse()) : entries.concat(_toArray(result));
+   }
+
+   return result;
+}
+
+/**
+ * Returns whether a config value is a merge directive; `"$unset"` or an object with only `$replace`, `$remove` or
+ * `$prepend` keys.
+ *
+ * @param {*}  value - A config value.
+ *
+ * @returns {boolean} True if the value is a merge directive.
+ */
+export function isDirective(value)
+{
+   if (value === s_UNSET) { return true; }
+
+   if (typeof value !== 'object' || value === null || Array.isArray(value)) { return false; }
+
+   const keys = Object.keys(value);
+
+   return keys.length > 0 && keys.every((key) => s_DIRECTIVE_KEYS.indexOf(key) >= 0);
+}
+
+/**
+ * Removes merge directives from a config value applying each directive as if there is no target value; keys set to
+ * `"$unset"` or only to `$remove` are removed and `$replace` / `$prepend` directives are replaced by their value.
+ * Directives are values of object keys, so array elements are not directives. The given value is not modified; a copy
+ * is returned only when a directive is removed.
+ *
+ * @param {*}        value - A config object or value.
+ *
+ * @param {string}   [keyPath=''] - The key path of the value included in any error message.
+ *
+ * @returns {*} The config object or value without any merge directives.
+ */
+export function stripDirectives(value, keyPath = '')
+{
+   if (Array.isArray(value))
+   {
+      let result = value;
+
+      value.forEach((entry, index) =>
+      {
+         const stripped = stripDirectives(entry, `${keyPath}[${index}]`);
+
+         if (stripped !== entry)
+         {
+            if (result === value) { result = value.slice(); }
+
+            result[index] = stripped;
+         }
+      });
+
+      return result;
+   }
+
+   if (typeof value !== 'object' || value === null) { return value; }
+
+   let result = value;
+
+   for (const key of Object.keys(value))
+   {
+      const childPath = keyPath === '' ? key : `${keyPath}.${key}`;
+
+      const stripped = isDirective(value[key]) ? applyDirective(void 0, value[key], childPath) :
+       stripDirectives(value[key], childPath);
+
+      if (stripped !== value[key])
+      {
+         if (result === value) { result = Object.assign({}, value); }
+
+         if (typeof stripped === 'undefined') { delete result[key]; }
+         else { result[key] = stripped; }
+      }
+   }
+
+   return result;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Upgrades a single value to an array; undefined becomes an empty array.
+ *
+ * @param {*}        value - The value.
+ *
+ * @returns {Array<*>} The value as an array.
+ * @ignore
+ * @private
+ */
+function _toArray(value)
+{
+   if (Array.isArray(value)) { return value; }
+
+   return typeof value === 'undefined' ? [] : [value];
+}
@@ -0,0 +1,12 @@
+/**
+ * Invokes dynamic `import()`. This module is not transpiled, so that `import()` is not converted to `require`; it is
+ * copied to `dist` by the build.
+ *
+ * @param {string}   specifier - A file URL or NPM module name.
+ *
+ * @returns {Promise<Object>} The module namespace.
+ */
+module.exports = function dynamicImport(specifier)
+{
+   return import(specifier);
+};
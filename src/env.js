@@ -0,0 +1,190 @@
+import ObjectUtil          from 'typhonjs-object-util';
+
+import ConfigResolverError from './ConfigResolverError.js';
+
+/**
+ * Matches `${env:NAME}` and `${env:NAME:-default}` placeholders.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_ENV_PLACEHOLDER = /\$\{env:([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Matches a string which is a single `${env:NAME}` or `${env:NAME:-default}` placeholder.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_ENV_PLACEHOLDER_ONLY = /^\$\{env:([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}$/;
+
+/**
+ * Applies environment variable overrides to a config object. Any environment variable named with the given prefix
+ * followed by `__` sets the nested key path separated by `__`; IE `MYAPP__server__port=8080` sets `server.port` to
+ * `8080`. Values are type coerced by `coerceEnvValue`.
+ *
+ * @param {object}   config - The config object to modify.
+ *
+ * @param {string}   envPrefix - The environment variable prefix; IE `MYAPP`.
+ *
+ * @param {object}   [env=process.env] - The environment variables.
+ *
+ * @returns {object} An object containing only the applied overrides.
+ */
+export function applyEnvOverrides(config, envPrefix, env = process.env)
+{
+   const prefix = `${envPrefix}__`;
+
+   const overrides = {};
+
+   // Sort so that parent key paths are set before children.
+   for (const envName of Object.keys(env).sort())
+   {
+      if (!envName.startsWith(prefix) || envName.length === prefix.length) { continue; }
+
+      const accessor = envName.slice(prefix.length).split('__').join('.');
+      const value = coerceEnvValue(env[envName]);
+
+      if (!ObjectUtil.safeSet(config, accessor, value, 'set', true))
+      {
+         throw new Error(`Environment variable '${envName}' can not set '${accessor}'; parent is not an 'object'.`);
+      }
+
+      ObjectUtil.safeSet(overrides, accessor, value, 'set', true);
+   }
+
+   return overrides;
+}
+
+/**
+ * Coerces an environment variable string value to a boolean, null, number, array or object when the string
+ * represents one otherwise the string is returned.
+ *
+ * @param {string}   value - An environment variable value.
+ *
+ * @returns {*} The coerced value.
+ */
+export function coerceEnvValue(value)
+{
+   const trimmed = value.trim();
+
+   switch (trimmed)
+   {
+      case 'true':
+         return true;
+
+      case 'false':
+         return false;
+
+      case 'null':
+         return null;
+   }
+
+   if (trimmed !== '' && !Number.isNaN(Number(trimmed))) { return Number(trimmed); }
+
+   if (trimmed.startsWith('[') || trimmed.startsWith('{'))
+   {
+      try { return JSON.parse(trimmed); }
+      catch (err) { /* Not JSON so return the string */ }
+   }
+
+   return value;
+}
+
+/**
+ * Expands `${env:NAME}` and `${env:NAME:-default}` placeholders in all string values of a config object. A string
+ * value consisting of a single placeholder is type coerced by `coerceEnvValue`. The given config is not modified; a
+ * copy is returned only when a placeholder is expanded.
+ *
+ * @param {*}        value - The config object or value to expand.
+ *
+ * @param {object}   [env=process.env] - The environment variables.
+ *
+ * @param {string}   [source] - The config file path or name included in any error message.
+ *
+ * @param {string}   [keyPath=''] - The key path of the value included in any error message.
+ *
+ * @returns {*} The config object or value with all placeholders expanded.
+ */
+export function interpolateEnv(value, env = process.env, source = void 0, keyPath = '')
+{
+   if (typeof value === 'string')
+   {
+      if (value.indexOf('${env:') < 0) { return value; }
+
+      const match = s_ENV_PLACEHOLDER_ONLY.exec(value);
+
+      if (match) { return coerceEnvValue(_envValue(env, match[1], match[2], source, keyPath)); }
+
+      return value.replace(s_ENV_PLACEHOLDER, (placeholder, name, defaultValue) =>
+       _envValue(env, name, defaultValue, source, keyPath));
+   }
+
+   if (Array.isArray(value))
+   {
+      let result = value;
+
+      value.forEach((entry, index) =>
+      {
+         const expanded = interpolateEnv(entry, env, source, `${keyPath}[${index}]`);
+
+         if (expanded !== entry)
+         {
+            if (result === value) { result = value.slice(); }
+
+            result[index] = expanded;
+         }
+      });
+
+      return result;
+   }
+
+   if (typeof value === 'object' && value !== null)
+   {
+      let result = value;
+
+      for (const key of Object.keys(value))
+      {
+         const expanded = interpolateEnv(value[key], env, source, keyPath === '' ? key : `${keyPath}.${key}`);
+
+         if (expanded !== value[key])
+         {
+            if (result === value) { result = Object.assign({}, value); }
+
+            result[key] = expanded;
+         }
+      }
+
+      return result;
+   }
+
+   return value;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the value of an environment variable or the default value throwing if neither is available.
+ *
+ * @param {object}   env - The environment variables.
+ *
+ * @param {string}   name - The environment variable name.
+ *
+ * @param {string}   [defaultValue] - Any default value.
+ *
+ * @param {string}   [source] - The config file path or name included in any error message.
+ *
+ * @param {string}   keyPath - The key path of the value included in any error message.
+ *
+ * @returns {string} The environment variable value.
+ * @ignore
+ * @private
+ */
+function _envValue(env, name, defaultValue, source, keyPath)
+{
+   // Like the shell `:-` operator the default value is also used for an empty environment variable.
+   if (typeof env[name] === 'string' && (env[name] !== '' || typeof defaultValue !== 'string')) { return env[name]; }
+
+   if (typeof defaultValue === 'string') { return defaultValue; }
+
+   throw new ConfigResolverError('ENV_NOT_SET', `Environment variable '${name}' is not set and has no default for '${
+    keyPath}'${source ? ` in '${source}'` : ''}.`);
+}
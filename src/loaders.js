@@ -0,0 +1,78 @@
+import JSON5               from 'json5';
+import stripJsonComments   from 'strip-json-comments';
+import toml                from 'toml';
+import yaml                from 'js-yaml';
+
+/**
+ * Provides the built-in config loaders for `ConfigResolver`. A loader is a function which receives the UTF-8 contents
+ * of a config file and the file path returning the parsed config object.
+ *
+ * The built-in loaders are keyed by file extension:
+ *
+ * `.json`: JSON with comments stripped; also used for files with an unregistered extension.
+ * `.json5`: JSON5.
+ * `.toml`: TOML.
+ * `.yaml` / `.yml`: YAML.
+ *
+ * @returns {Map<string, function(string, string): Object>} A new map of file extension to built-in loader.
+ */
+export default function createDefaultLoaders()
+{
+   return new Map([
+      ['.json', loadJSON],
+      ['.json5', loadJSON5],
+      ['.toml', loadTOML],
+      ['.yaml', loadYAML],
+      ['.yml', loadYAML]
+   ]);
+}
+
+/**
+ * Parses JSON config data stripping any comments.
+ *
+ * @param {string}   data - The config file contents.
+ *
+ * @returns {Object} The parsed config.
+ */
+export function loadJSON(data)
+{
+   return JSON.parse(stripJsonComments(data));
+}
+
+/**
+ * Parses JSON5 config data.
+ *
+ * @param {string}   data - The config file contents.
+ *
+ * @returns {Object} The parsed config.
+ */
+export function loadJSON5(data)
+{
+   return JSON5.parse(data);
+}
+
+/**
+ * Parses TOML config data.
+ *
+ * @param {string}   data - The config file contents.
+ *
+ * @returns {Object} The parsed config.
+ */
+export function loadTOML(data)
+{
+   return toml.parse(data);
+}
+
+/**
+ * Parses YAML config data. Only the safe YAML schema is supported.
+ *
+ * @param {string}   data - The config file contents.
+ *
+ * @param {string}   [filePath] - The config file path used in any error message.
+ *
+ * @returns {Object} The parsed config.
+ */
+export function loadYAML(data, filePath = void 0)
+{
+   return yaml.safeLoad(data, { filename: filePath });
+}
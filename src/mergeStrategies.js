@@ -0,0 +1,313 @@
+/**
+ * Matches the `mergeByKey(field)` merge strategy name.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_MERGE_BY_KEY = /^mergeByKey\(\s*([^)\s]+)\s*\)$/;
+
+/**
+ * Provides the built-in merge strategies for `ConfigResolver` keyed by name. A merge strategy is a function which
+ * receives the target (lower precedence) value, the source (higher precedence) value and a merge context returning
+ * the merged value. `mergeByKey(field)` is created by `mergeByKey`.
+ *
+ * `append`: Concatenates source array elements after target elements; single values are upgraded to arrays.
+ * `deep`: Deep merges following the default merge rules.
+ * `prepend`: Concatenates source array elements before target elements; single values are upgraded to arrays.
+ * `replace`: The source value replaces the target value.
+ * `union`: Appends source array elements not already in the target; single values are upgraded to arrays.
+ *
+ * @type {Map<string, function(*, *, MergeContext): *>}
+ */
+export const builtinMergeStrategies = new Map([
+   ['append', _mergeAppend],
+   ['deep', _mergeDeep],
+   ['prepend', _mergePrepend],
+   ['replace', _mergeReplace],
+   ['union', _mergeUnion]
+]);
+
+/**
+ * Creates the merge strategies of `ConfigResolverData`. `plugins` and the keys of `upgradeMergeList` are default
+ * entries which preserve the established merge behavior and may be replaced by entries of `mergeStrategies`.
+ *
+ * @param {object<string, string|function>}  [mergeStrategies={}] - Merge strategy names or functions keyed by dotted
+ *                                                                  key path or key name.
+ *
+ * @param {Array<string>}  [upgradeMergeList=[]] - Keys upgraded to an array and merged without duplicate elements.
+ *
+ * @returns {Map<string, function(*, *, MergeContext): *>} A new map of key path / key name to merge strategy.
+ */
+export default function createMergeStrategies(mergeStrategies = {}, upgradeMergeList = [])
+{
+   const strategies = new Map([['plugins', mergePlugins]]);
+
+   for (const key of upgradeMergeList) { strategies.set(key, mergeUpgrade); }
+
+   for (const key in mergeStrategies)
+   {
+      if (mergeStrategies.hasOwnProperty(key)) { strategies.set(key, resolveMergeStrategy(mergeStrategies[key], key)); }
+   }
+
+   return strategies;
+}
+
+/**
+ * Creates a merge strategy for arrays of objects which deep merges source elements into target elements with the same
+ * value of `field`. Source elements without a match are appended.
+ *
+ * @param {string}   field - The field identifying elements; IE `name`.
+ *
+ * @returns {function(*, *, MergeContext): *} The merge strategy.
+ */
+export function mergeByKey(field)
+{
+   if (typeof field !== 'string' || field === '') { throw new TypeError(`'field' is not a non-empty 'string'.`); }
+
+   return (target, src, context) =>
+   {
+      const result = _toArray(target).slice();
+
+      for (const entry of _toArray(src))
+      {
+         const index = _isKeyed(entry, field) ?
+          result.findIndex((element) => _isKeyed(element, field) && element[field] === entry[field]) : -1;
+
+         if (index >= 0)
+         {
+            result[index] = context.merge(result[index], entry);
+         }
+         else
+         {
+            result.push(entry);
+         }
+      }
+
+      return result;
+   };
+}
+
+/**
+ * The default merge strategy of `plugins`. Plugin configs are matched by name with source configs replacing target
+ * configs. Source configs are added in reverse order before the remaining target configs as resolved plugins are
+ * reversed after merging the extension chain, so that the earliest plugins in extended configs appear first.
+ *
+ * @param {*}              target - The target plugin configs.
+ *
+ * @param {*}              src - The source plugin configs.
+ *
+ * @param {MergeContext}   context - The merge context.
+ *
+ * @returns {Array<object>|object} The merged plugin configs.
+ */
+export function mergePlugins(target, src, context)
+{
+   // A single plugin config without any target plugins is merged as an object.
+   if (!Array.isArray(src) && !Array.isArray(target)) { return context.merge(target, src); }
+
+   target = target || [];
+
+   const srcPlugins = _toArray(src);
+
+   const result = srcPlugins.length > 1 ? srcPlugins.slice() : _toArray(target).slice();
+
+   if (Array.isArray(target))
+   {
+      // Push target plugin config if not found in the result.
+      target.forEach((plugin) =>
+      {
+         if (!result.find((dstPlugin) => dstPlugin.name === plugin.name)) { result.push(plugin); }
+      });
+
+      // Replace any existing plugin config in the result that matches a plugin config name from source.
+      srcPlugins.forEach((plugin) =>
+      {
+         const index = result.findIndex((dstPlugin) => dstPlugin.name === plugin.name);
+
+         if (index >= 0) { result.splice(index, 1); }
+
+         result.unshift(plugin);
+      });
+   }
+
+   // Any source entries which are not plugin configs are set by position.
+   srcPlugins.forEach((plugin, index) =>
+   {
+      if (typeof result[index] === 'undefined' || typeof plugin !== 'object') { result[index] = plugin; }
+   });
+
+   return result;
+}
+
+/**
+ * The default merge strategy of `upgradeMergeList` keys. A single source value is upgraded to an array then merged
+ * following the default merge rules except that source primitive elements not in the target are appended.
+ *
+ * @param {*}              target - The target value.
+ *
+ * @param {*}              src - The source value.
+ *
+ * @param {MergeContext}   context - The merge context.
+ *
+ * @returns {Array<*>} The merged array.
+ */
+export function mergeUpgrade(target, src, context)
+{
+   return context.merge(target, _toArray(src), true);
+}
+
+/**
+ * Resolves a merge strategy name or function.
+ *
+ * @param {string|function}   strategy - A built-in merge strategy name, `mergeByKey(field)` or a merge strategy
+ *                                       function.
+ *
+ * @param {string}            key - The dotted key path or key name of the entry used in any error message.
+ *
+ * @returns {function(*, *, MergeContext): *} The merge strategy.
+ */
+export function resolveMergeStrategy(strategy, key)
+{
+   if (typeof strategy === 'function') { return strategy; }
+
+   if (typeof strategy === 'string')
+   {
+      if (builtinMergeStrategies.has(strategy)) { return builtinMergeStrategies.get(strategy); }
+
+      const match = s_MERGE_BY_KEY.exec(strategy);
+
+      if (match) { return mergeByKey(match[1]); }
+   }
+
+   throw new TypeError(`'mergeStrategies.${key}' is not a known merge strategy name or a 'function'.`);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns whether a value is an object with the given field.
+ *
+ * @param {*}        value - The value to test.
+ *
+ * @param {string}   field - The field.
+ *
+ * @returns {boolean} True if the value has the field.
+ * @ignore
+ * @private
+ */
+function _isKeyed(value, field)
+{
+   return typeof value === 'object' && value !== null && typeof value[field] !== 'undefined';
+}
+
+/**
+ * The `append` merge strategy.
+ *
+ * @param {*}        target - The target value.
+ *
+ * @param {*}        src - The source value.
+ *
+ * @returns {Array<*>} The target elements followed by the source elements.
+ * @ignore
+ * @private
+ */
+function _mergeAppend(target, src)
+{
+   return _toArray(target).concat(_toArray(src));
+}
+
+/**
+ * The `deep` merge strategy.
+ *
+ * @param {*}              target - The target value.
+ *
+ * @param {*}              src - The source value.
+ *
+ * @param {MergeContext}   context - The merge context.
+ *
+ * @returns {*} The value merged by the default merge rules.
+ * @ignore
+ * @private
+ */
+function _mergeDeep(target, src, context)
+{
+   return context.merge(target, src);
+}
+
+/**
+ * The `prepend` merge strategy.
+ *
+ * @param {*}        target - The target value.
+ *
+ * @param {*}        src - The source value.
+ *
+ * @returns {Array<*>} The source elements followed by the target elements.
+ * @ignore
+ * @private
+ */
+function _mergePrepend(target, src)
+{
+   return _toArray(src).concat(_toArray(target));
+}
+
+/**
+ * The `replace` merge strategy.
+ *
+ * @param {*}        target - The target value.
+ *
+ * @param {*}        src - The source value.
+ *
+ * @returns {*} The source value.
+ * @ignore
+ * @private
+ */
+function _mergeReplace(target, src)
+{
+   return src;
+}
+
+/**
+ * The `union` merge strategy. Elements are compared by their JSON representation.
+ *
+ * @param {*}        target - The target value.
+ *
+ * @param {*}        src - The source value.
+ *
+ * @returns {Array<*>} The target elements followed by any source elements not in the target.
+ * @ignore
+ * @private
+ */
+function _mergeUnion(target, src)
+{
+   const result = _toArray(target).slice();
+
+   const values = result.map((entry) => JSON.stringify(entry));
+
+   for (const entry of _toArray(src))
+   {
+      const value = JSON.stringify(entry);
+
+      if (values.indexOf(value) < 0)
+      {
+         result.push(entry);
+         values.push(value);
+      }
+   }
+
+   return result;
+}
+
+/**
+ * Upgrades a single value to an array; undefined becomes an empty array.
+ *
+ * @param {*}        value - The value.
+ *
+ * @returns {Array<*>} The value as an array.
+ * @ignore
+ * @private
+ */
+function _toArray(value)
+{
+   if (Array.isArray(value)) { return value; }
+
+   return typeof value === 'undefined' ? [] : [value];
+}
@@ -0,0 +1,605 @@
+/**
+ * Maps JSON Schema types to a test of a value.
+ * @type {object<string, function(*): boolean>}
+ * @ignore
+ */
+const s_TYPES = {
+   'array': (value) => Array.isArray(value),
+   'boolean': (value) => typeof value === 'boolean',
+   'integer': (value) => Number.isInteger(value),
+   'null': (value) => value === null,
+   'number': (value) => typeof value === 'number' && Number.isFinite(value),
+   'object': (value) => _isObject(value),
+   'string': (value) => typeof value === 'string'
+};
+
+/**
+ * Validates data against a JSON Schema (draft-07) returning every violation. All keywords for validation are supported
+ * except `format` which is treated as an annotation. `$ref` supports JSON pointers into the root schema; IE
+ * `#/definitions/server`.
+ *
+ * When `applyDefaults` is true any `default` of a missing property in `properties` is set on the data before
+ * validating. Defaults are not applied in the subschemas of `anyOf`, `oneOf`, `not` and `if`.
+ *
+ * @param {*}        data - The data to validate.
+ *
+ * @param {object|boolean}  schema - A JSON Schema.
+ *
+ * @param {object}   [options] - Optional parameters.
+ *
+ * @param {boolean}  [options.applyDefaults=false] - Sets the `default` of missing properties.
+ *
+ * @returns {Array<SchemaViolation>} Any violations; empty when the data is valid.
+ */
+export function validateSchema(data, schema, { applyDefaults = false } = {})
+{
+   if (typeof schema !== 'object' && typeof schema !== 'boolean')
+   {
+      throw new TypeError(`'schema' is not an 'object'.`);
+   }
+
+   const violations = [];
+
+   _validate(data, schema, '', { root: schema, applyDefaults }, violations);
+
+   return violations;
+}
+
+/**
+ * Returns the unescaped segments of a JSON pointer.
+ *
+ * @param {string}   pointer - A JSON pointer; IE `/server/port`.
+ *
+ * @returns {Array<string>} The segments.
+ */
+export function pointerSegments(pointer)
+{
+   if (pointer === '' || pointer === '/') { return []; }
+
+   return pointer.slice(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Adds a violation.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ *
+ * @param {string}   pointer - The JSON pointer of the value.
+ *
+ * @param {string}   keyword - The failing schema keyword.
+ *
+ * @param {string}   message - Describes the violation.
+ *
+ * @param {*}        expected - The expected value / constraint of the keyword.
+ *
+ * @param {*}        actual - The actual value.
+ * @ignore
+ * @private
+ */
+function _addViolation(violations, pointer, keyword, message, expected, actual)
+{
+   violations.push({ pointer, keyword, message, expected, actual });
+}
+
+/**
+ * Returns whether two JSON values are deeply equal.
+ *
+ * @param {*}  a - A value.
+ *
+ * @param {*}  b - A value.
+ *
+ * @returns {boolean} True if equal.
+ * @ignore
+ * @private
+ */
+function _equal(a, b)
+{
+   if (a === b) { return true; }
+
+   if (Array.isArray(a) && Array.isArray(b))
+   {
+      return a.length === b.length && a.every((entry, index) => _equal(entry, b[index]));
+   }
+
+   if (_isObject(a) && _isObject(b))
+   {
+      const keys = Object.keys(a);
+
+      return keys.length === Object.keys(b).length && keys.every((key) => b.hasOwnProperty(key) &&
+       _equal(a[key], b[key]));
+   }
+
+   return false;
+}
+
+/**
+ * Returns whether a value is a non-array object.
+ *
+ * @param {*}  value - A value to test.
+ *
+ * @returns {boolean} True if the value is a non-array object.
+ * @ignore
+ * @private
+ */
+function _isObject(value)
+{
+   return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Returns the JSON pointer of a child value.
+ *
+ * @param {string}         pointer - The JSON pointer of the parent.
+ *
+ * @param {string|number}  key - The property name or array index.
+ *
+ * @returns {string} The JSON pointer.
+ * @ignore
+ * @private
+ */
+function _pointer(pointer, key)
+{
+   return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Resolves a `$ref` JSON pointer into the root schema.
+ *
+ * @param {string}   ref - The `$ref` value; IE `#/definitions/server`.
+ *
+ * @param {object}   root - The root schema.
+ *
+ * @returns {object|boolean} The referenced schema.
+ * @ignore
+ * @private
+ */
+function _resolveRef(ref, root)
+{
+   if (ref.charAt(0) !== '#') { throw new Error(`Schema '$ref' '${ref}' is not a local JSON pointer.`); }
+
+   let schema = root;
+
+   for (const segment of pointerSegments(decodeURIComponent(ref.slice(1))))
+   {
+      schema = typeof schema === 'object' && schema !== null ? schema[segment] : void 0;
+
+      if (typeof schema === 'undefined') { throw new Error(`Schema '$ref' '${ref}' can not be resolved.`); }
+   }
+
+   return schema;
+}
+
+/**
+ * Returns the JSON Schema type name of a value.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {string} The type name.
+ * @ignore
+ * @private
+ */
+function _typeOf(value)
+{
+   if (value === null) { return 'null'; }
+   if (Array.isArray(value)) { return 'array'; }
+   if (Number.isInteger(value)) { return 'integer'; }
+
+   return typeof value;
+}
+
+/**
+ * Validates a value against a schema adding any violations.
+ *
+ * @param {*}              data - The value to validate.
+ *
+ * @param {object|boolean} schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {{root: object, applyDefaults: boolean}} options - The root schema and whether to apply defaults.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ * @ignore
+ * @private
+ */
+function _validate(data, schema, pointer, options, violations)
+{
+   if (schema === true) { return; }
+
+   if (schema === false)
+   {
+      _addViolation(violations, pointer, 'false', 'is not allowed', false, data);
+      return;
+   }
+
+   // Draft-07 ignores all other keywords of a schema with `$ref`.
+   if (typeof schema.$ref === 'string')
+   {
+      _validate(data, _resolveRef(schema.$ref, options.root), pointer, options, violations);
+      return;
+   }
+
+   _validateGeneric(data, schema, pointer, options, violations);
+
+   if (_isObject(data)) { _validateObject(data, schema, pointer, options, violations); }
+   if (Array.isArray(data)) { _validateArray(data, schema, pointer, options, violations); }
+   if (typeof data === 'number') { _validateNumber(data, schema, pointer, violations); }
+   if (typeof data === 'string') { _validateString(data, schema, pointer, violations); }
+
+   _validateComposition(data, schema, pointer, options, violations);
+}
+
+/**
+ * Validates array keywords.
+ *
+ * @param {Array<*>}       data - The array to validate.
+ *
+ * @param {object}         schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {{root: object, applyDefaults: boolean}} options - The root schema and whether to apply defaults.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ * @ignore
+ * @private
+ */
+function _validateArray(data, schema, pointer, options, violations)
+{
+   if (typeof schema.minItems === 'number' && data.length < schema.minItems)
+   {
+      _addViolation(violations, pointer, 'minItems', `must have at least ${schema.minItems} items`, schema.minItems,
+       data.length);
+   }
+
+   if (typeof schema.maxItems === 'number' && data.length > schema.maxItems)
+   {
+      _addViolation(violations, pointer, 'maxItems', `must have at most ${schema.maxItems} items`, schema.maxItems,
+       data.length);
+   }
+
+   if (schema.uniqueItems === true && data.some((entry, index) => data.findIndex((other) => _equal(entry, other)) !==
+    index))
+   {
+      _addViolation(violations, pointer, 'uniqueItems', 'must have unique items', true, data);
+   }
+
+   if (Array.isArray(schema.items))
+   {
+      data.forEach((entry, index) =>
+      {
+         const itemSchema = index < schema.items.length ? schema.items[index] : schema.additionalItems;
+
+         if (typeof itemSchema !== 'undefined')
+         {
+            _validate(entry, itemSchema, _pointer(pointer, index), options, violations);
+         }
+      });
+   }
+   else if (typeof schema.items !== 'undefined')
+   {
+      data.forEach((entry, index) => _validate(entry, schema.items, _pointer(pointer, index), options, violations));
+   }
+
+   if (typeof schema.contains !== 'undefined' &&
+    !data.some((entry) => _validateQuiet(entry, schema.contains, pointer, options)))
+   {
+      _addViolation(violations, pointer, 'contains', 'must contain a matching item', schema.contains, data);
+   }
+}
+
+/**
+ * Validates `allOf`, `anyOf`, `oneOf`, `not` and `if` / `then` / `else`.
+ *
+ * @param {*}              data - The value to validate.
+ *
+ * @param {object}         schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {{root: object, applyDefaults: boolean}} options - The root schema and whether to apply defaults.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ * @ignore
+ * @private
+ */
+function _validateComposition(data, schema, pointer, options, violations)
+{
+   if (Array.isArray(schema.allOf))
+   {
+      for (const subschema of schema.allOf) { _validate(data, subschema, pointer, options, violations); }
+   }
+
+   if (Array.isArray(schema.anyOf) && !schema.anyOf.some((subschema) =>
+    _validateQuiet(data, subschema, pointer, options)))
+   {
+      _addViolation(violations, pointer, 'anyOf', 'must match a schema in anyOf', schema.anyOf, data);
+   }
+
+   if (Array.isArray(schema.oneOf))
+   {
+      const matches = schema.oneOf.filter((subschema) => _validateQuiet(data, subschema, pointer, options)).length;
+
+      if (matches !== 1)
+      {
+         _addViolation(violations, pointer, 'oneOf', `must match exactly one schema in oneOf; matched ${matches}`,
+          schema.oneOf, data);
+      }
+   }
+
+   if (typeof schema.not !== 'undefined' && _validateQuiet(data, schema.not, pointer, options))
+   {
+      _addViolation(violations, pointer, 'not', 'must not match the schema in not', schema.not, data);
+   }
+
+   if (typeof schema.if !== 'undefined')
+   {
+      const branch = _validateQuiet(data, schema.if, pointer, options) ? schema.then : schema.else;
+
+      if (typeof branch !== 'undefined') { _validate(data, branch, pointer, options, violations); }
+   }
+}
+
+/**
+ * Validates `type`, `enum` and `const`.
+ *
+ * @param {*}              data - The value to validate.
+ *
+ * @param {object}         schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {{root: object, applyDefaults: boolean}} options - The root schema and whether to apply defaults.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ * @ignore
+ * @private
+ */
+function _validateGeneric(data, schema, pointer, options, violations)
+{
+   if (typeof schema.type !== 'undefined')
+   {
+      const types = [].concat(schema.type);
+
+      if (!types.some((type) => s_TYPES[type] && s_TYPES[type](data)))
+      {
+         _addViolation(violations, pointer, 'type', `must be of type '${types.join(`' or '`)}'`, schema.type,
+          _typeOf(data));
+      }
+   }
+
+   if (Array.isArray(schema.enum) && !schema.enum.some((entry) => _equal(entry, data)))
+   {
+      _addViolation(violations, pointer, 'enum', `must be one of ${JSON.stringify(schema.enum)}`, schema.enum, data);
+   }
+
+   if (typeof schema.const !== 'undefined' && !_equal(schema.const, data))
+   {
+      _addViolation(violations, pointer, 'const', `must be ${JSON.stringify(schema.const)}`, schema.const, data);
+   }
+}
+
+/**
+ * Validates number keywords.
+ *
+ * @param {number}         data - The number to validate.
+ *
+ * @param {object}         schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ * @ignore
+ * @private
+ */
+function _validateNumber(data, schema, pointer, violations)
+{
+   const tests = [
+      ['minimum', (limit) => data >= limit, '>='],
+      ['maximum', (limit) => data <= limit, '<='],
+      ['exclusiveMinimum', (limit) => data > limit, '>'],
+      ['exclusiveMaximum', (limit) => data < limit, '<']
+   ];
+
+   for (const [keyword, test, operator] of tests)
+   {
+      if (typeof schema[keyword] === 'number' && !test(schema[keyword]))
+      {
+         _addViolation(violations, pointer, keyword, `must be ${operator} ${schema[keyword]}`, schema[keyword], data);
+      }
+   }
+
+   if (typeof schema.multipleOf === 'number' && !Number.isInteger(Number((data / schema.multipleOf).toPrecision(15))))
+   {
+      _addViolation(violations, pointer, 'multipleOf', `must be a multiple of ${schema.multipleOf}`, schema.multipleOf,
+       data);
+   }
+}
+
+/**
+ * Validates object keywords applying any property defaults.
+ *
+ * @param {object}         data - The object to validate.
+ *
+ * @param {object}         schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {{root: object, applyDefaults: boolean}} options - The root schema and whether to apply defaults.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ * @ignore
+ * @private
+ */
+function _validateObject(data, schema, pointer, options, violations)
+{
+   const properties = _isObject(schema.properties) ? schema.properties : {};
+   const patterns = _isObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+
+   if (options.applyDefaults)
+   {
+      for (const key of Object.keys(properties))
+      {
+         const propertySchema = properties[key];
+
+         if (!data.hasOwnProperty(key) && _isObject(propertySchema) && typeof propertySchema.default !== 'undefined')
+         {
+            data[key] = JSON.parse(JSON.stringify(propertySchema.default));
+         }
+      }
+   }
+
+   if (Array.isArray(schema.required))
+   {
+      for (const key of schema.required)
+      {
+         if (!data.hasOwnProperty(key))
+         {
+            _addViolation(violations, pointer, 'required', `must have required property '${key}'`, key, void 0);
+         }
+      }
+   }
+
+   const keys = Object.keys(data);
+
+   if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties)
+   {
+      _addViolation(violations, pointer, 'minProperties', `must have at least ${schema.minProperties} properties`,
+       schema.minProperties, keys.length);
+   }
+
+   if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties)
+   {
+      _addViolation(violations, pointer, 'maxProperties', `must have at most ${schema.maxProperties} properties`,
+       schema.maxProperties, keys.length);
+   }
+
+   for (const key of keys)
+   {
+      const keyPointer = _pointer(pointer, key);
+
+      let matched = false;
+
+      if (properties.hasOwnProperty(key))
+      {
+         matched = true;
+         _validate(data[key], properties[key], keyPointer, options, violations);
+      }
+
+      for (const pattern of patterns)
+      {
+         if (new RegExp(pattern, 'u').test(key))
+         {
+            matched = true;
+            _validate(data[key], schema.patternProperties[pattern], keyPointer, options, violations);
+         }
+      }
+
+      if (!matched && typeof schema.additionalProperties !== 'undefined')
+      {
+         if (schema.additionalProperties === false)
+         {
+            _addViolation(violations, keyPointer, 'additionalProperties', `is not an allowed property`, false,
+             data[key]);
+         }
+         else
+         {
+            _validate(data[key], schema.additionalProperties, keyPointer, options, violations);
+         }
+      }
+
+      if (typeof schema.propertyNames !== 'undefined' && !_validateQuiet(key, schema.propertyNames, keyPointer,
+       options))
+      {
+         _addViolation(violations, keyPointer, 'propertyNames', `property name '${key}' is not valid`,
+          schema.propertyNames, key);
+      }
+   }
+
+   if (_isObject(schema.dependencies))
+   {
+      for (const key of Object.keys(schema.dependencies))
+      {
+         if (!data.hasOwnProperty(key)) { continue; }
+
+         const dependency = schema.dependencies[key];
+
+         if (Array.isArray(dependency))
+         {
+            for (const required of dependency)
+            {
+               if (!data.hasOwnProperty(required))
+               {
+                  _addViolation(violations, pointer, 'dependencies',
+                   `must have property '${required}' when property '${key}' is present`, required, void 0);
+               }
+            }
+         }
+         else
+         {
+            _validate(data, dependency, pointer, options, violations);
+         }
+      }
+   }
+}
+
+/**
+ * Returns whether a value is valid against a schema without applying defaults or adding violations.
+ *
+ * @param {*}              data - The value to validate.
+ *
+ * @param {object|boolean} schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {{root: object, applyDefaults: boolean}} options - The root schema and whether to apply defaults.
+ *
+ * @returns {boolean} True if valid.
+ * @ignore
+ * @private
+ */
+function _validateQuiet(data, schema, pointer, options)
+{
+   const violations = [];
+
+   _validate(data, schema, pointer, { root: options.root, applyDefaults: false }, violations);
+
+   return violations.length === 0;
+}
+
+/**
+ * Validates string keywords. Lengths are counted in Unicode code points.
+ *
+ * @param {string}         data - The string to validate.
+ *
+ * @param {object}         schema - The schema.
+ *
+ * @param {string}         pointer - The JSON pointer of the value.
+ *
+ * @param {Array<SchemaViolation>}  violations - The violations to add to.
+ * @ignore
+ * @private
+ */
+function _validateString(data, schema, pointer, violations)
+{
+   const length = Array.from(data).length;
+
+   if (typeof schema.minLength === 'number' && length < schema.minLength)
+   {
+      _addViolation(violations, pointer, 'minLength', `must have at least ${schema.minLength} characters`,
+       schema.minLength, data);
+   }
+
+   if (typeof schema.maxLength === 'number' && length > schema.maxLength)
+   {
+      _addViolation(violations, pointer, 'maxLength', `must have at most ${schema.maxLength} characters`,
+       schema.maxLength, data);
+   }
+
+   if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(data))
+   {
+      _addViolation(violations, pointer, 'pattern', `must match pattern '${schema.pattern}'`, schema.pattern, data);
+   }
+}
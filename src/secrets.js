@@ -0,0 +1,154 @@
+import fs                  from 'fs';
+import path                from 'path';
+
+import ConfigResolverError from './ConfigResolverError.js';
+
+/**
+ * Matches a final line break of secret file contents.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_FINAL_LINE_BREAK = /\r?\n$/;
+
+/**
+ * Expands `$secret` references in all values of a config object. A reference is an object with a single `$file` or
+ * `$env` key; `{ "$file": "/run/secrets/db_password" }` is replaced by the file contents without any final line break
+ * and `{ "$env": "DB_PASS" }` by the environment variable value. Relative `$file` paths are resolved relative to the
+ * directory of the declaring config. The given config is not modified; a copy is returned only when a reference is
+ * expanded.
+ *
+ * `$file` references are rejected when `allowFiles` is false; IE for remote configs.
+ *
+ * @param {*}        value - The config object or value to expand.
+ *
+ * @param {object}   [options] - Optional parameters.
+ *
+ * @param {boolean}  [options.allowFiles=true] - When false `$file` references throw an `UNTRUSTED` error.
+ *
+ * @param {string}   [options.dirPath=process.cwd()] - The directory relative `$file` paths are resolved relative to.
+ *
+ * @param {object}   [options.env=process.env] - The environment variables.
+ *
+ * @param {function} [options.onSecret] - Invoked with each expanded secret value and the key path of the reference.
+ *
+ * @param {string}   [options.source] - The config file path or name included in any error message.
+ *
+ * @param {string}   [keyPath=''] - The key path of the value included in any error message.
+ *
+ * @returns {*} The config object or value with all references expanded.
+ */
+export function expandSecrets(value, options = {}, keyPath = '')
+{
+   if (Array.isArray(value))
+   {
+      let result = value;
+
+      value.forEach((entry, index) =>
+      {
+         const expanded = expandSecrets(entry, options, `${keyPath}[${index}]`);
+
+         if (expanded !== entry)
+         {
+            if (result === value) { result = value.slice(); }
+
+            result[index] = expanded;
+         }
+      });
+
+      return result;
+   }
+
+   if (typeof value === 'object' && value !== null)
+   {
+      if (isSecretRef(value))
+      {
+         const secret = _secretValue(value, options, keyPath);
+
+         if (typeof options.onSecret === 'function') { options.onSecret(secret, keyPath); }
+
+         return secret;
+      }
+
+      let result = value;
+
+      for (const key of Object.keys(value))
+      {
+         const expanded = expandSecrets(value[key], options, keyPath === '' ? key : `${keyPath}.${key}`);
+
+         if (expanded !== value[key])
+         {
+            if (result === value) { result = Object.assign({}, value); }
+
+            result[key] = expanded;
+         }
+      }
+
+      return result;
+   }
+
+   return value;
+}
+
+/**
+ * Returns whether a value is a `$secret` reference; an object with a single `$file` or `$env` key of a string.
+ *
+ * @param {*}  value - A config value.
+ *
+ * @returns {boolean} True if the value is a `$secret` reference.
+ */
+export function isSecretRef(value)
+{
+   if (typeof value !== 'object' || value === null || Array.isArray(value)) { return false; }
+
+   const keys = Object.keys(value);
+
+   return keys.length === 1 && (keys[0] === '$file' || keys[0] === '$env') && typeof value[keys[0]] === 'string';
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Reads the value of a `$secret` reference.
+ *
+ * @param {object}   ref - A `$secret` reference.
+ *
+ * @param {object}   options - The options of `expandSecrets`.
+ *
+ * @param {string}   keyPath - The key path of the reference included in any error message.
+ *
+ * @returns {string} The secret value.
+ * @ignore
+ * @private
+ */
+function _secretValue(ref, { allowFiles = true, dirPath = process.cwd(), env = process.env, source = void 0 }, keyPath)
+{
+   const location = `'${keyPath}'${source ? ` in '${source}'` : ''}`;
+
+   if (typeof ref.$env === 'string')
+   {
+      if (typeof env[ref.$env] !== 'string')
+      {
+         throw new ConfigResolverError('ENV_NOT_SET', `Secret environment variable '${ref.$env}' is not set for ${
+          location}.`);
+      }
+
+      return env[ref.$env];
+   }
+
+   if (!allowFiles)
+   {
+      throw new ConfigResolverError('UNTRUSTED', `Secret file '${ref.$file}' for ${location} is not allowed.`);
+   }
+
+   const filePath = path.resolve(dirPath, ref.$file);
+
+   try
+   {
+      return fs.readFileSync(filePath, 'utf8').replace(s_FINAL_LINE_BREAK, '');
+   }
+   catch (err)
+   {
+      throw new ConfigResolverError(err.code === 'ENOENT' ? 'NOT_FOUND' : 'LOAD_ERROR',
+       `Secret file '${filePath}' for ${location} could not be read: ${err.message}`, { cause: err });
+   }
+}
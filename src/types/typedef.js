@@ -1,9 +1,40 @@
 /**
  * @typedef {object} ConfigResolverData - Provides a complete set of data for config resolution.
  *
+ * @property {boolean|string}                   [cache=false] - Caches loaded config data per instance keyed by resolved
+ *                                                              path. Files are reloaded when changed as determined by
+ *                                                              modification time (`true` or `mtime`) or by content
+ *                                                              hash (`hash`).
+ *
  * @property {object}                           [defaultValues] - Accessor entry to default value applied after
  *                                                                pre-validation and extension resolution.
  *
+ * @property {string}                           [envPrefix] - Environment variables named with this prefix override
+ *                                                            nested keys of the resolved config before post-validation;
+ *                                                            IE `MYAPP__server__port=8080` sets `server.port`.
+ *
+ * @property {boolean}                          [interpolateEnv=true] - Expands `${env:NAME}` and
+ *                                                                      `${env:NAME:-default}` placeholders in string
+ *                                                                      values of all configs.
+ *
+ * @property {object<string, function|string>}  [loaders] - Additional config file loaders keyed by file extension;
+ *                                                          IE `{ '.ini': loadINI }`. A loader is a function which
+ *                                                          receives the file contents and file path returning the
+ *                                                          parsed config or the name / path of a module exporting the
+ *                                                          function.
+ *
+ * @property {object<string, string|function>}  [mergeStrategies] - Merge strategies keyed by dotted key path or key
+ *                                                              name; IE `{ "server.hosts": "replace" }`. Built-in
+ *                                                              strategies are `replace`, `append`, `prepend`, `union`,
+ *                                                              `mergeByKey(field)` and `deep`. A function receives the
+ *                                                              target value, source value and a `MergeContext`
+ *                                                              returning the merged value. `plugins` and the keys of
+ *                                                              `upgradeMergeList` have default entries.
+ *
+ * @property {MigrationData}                    [migrations] - Upgrades each config in the extension chain from an older
+ *                                                             config format version to the current version before it
+ *                                                             is validated and merged.
+ *
  * @property {object<string, ValidationEntry>}  [preValidate] - Accessor entry to typhonjs-object-util validation
  *                                                              entries applied at the start of resolving a config
  *                                                              object.
@@ -12,6 +43,240 @@
  *                                                               entries applied after extension resolution and any
  *                                                               default values are set.
  *
+ * @property {string}                           [profileKey] - The key of environment specific profile sections; IE
+ *                                                           `env` for `{ "env": { "production": {...} } }`. Profile
+ *                                                           sections are only merged and removed when set.
+ *
+ * @property {RemoteConfigData}                 [remote] - Options for fetching and caching remote configs referenced
+ *                                                         by `https://` URLs in `extends` entries.
+ *
+ * @property {{pre: object, post: object}}      [schema] - JSON Schemas (draft-07) validating each loaded config
+ *                                                         (`pre`) and the resolved config (`post`). Any `default` of
+ *                                                         missing properties in `post` is applied before validating.
+ *
+ * @property {Array<string|RegExp>|RegExp}      [sensitiveKeys] - Key names, dotted key paths or patterns of keys whose
+ *                                                                values are masked in log events, error messages and
+ *                                                                by `toRedactedJSON`; IE `['password', /token$/i]`.
+ *                                                                Expanded `$secret` references are always masked.
+ *
+ * @property {string}                           [sharedConfigPrefix] - The name prefix of shareable config NPM
+ *                                                                   modules; with `myapp-config` the `extends`
+ *                                                                   entry `foo` loads `myapp-config-foo` and `@scope`
+ *                                                                   loads `@scope/myapp-config`.
+ *
+ * @property {TrustPolicyData}                  [trust] - Restricts which executable configs (`.js`, `.cjs` and
+ *                                                        `.mjs` files and NPM modules) may be loaded by `extends`.
+ *
  * @property {Array<string>}                    [updateMergeList] - A list of strings indicating keys which will be
  *                                                                updated to an array and merged.
+ *
+ * @property {string}                           [validationMode='throw'] - `throw` fails on the first validation
+ *                                                                      failure; `collect` continues through all
+ *                                                                      `extends` entries then throws a
+ *                                                                      `VALIDATION_FAILED` error with a report of
+ *                                                                      every failure.
+ */
+
+/**
+ * @typedef {object} ConfigDiff - The differences between two resolved configs returned by `diff`.
+ *
+ * @property {Array<DiffEntry>}  added - Key paths only set in the new config.
+ *
+ * @property {Array<DiffEntry>}  removed - Key paths only set in the previous config.
+ *
+ * @property {Array<DiffEntry>}  changed - Key paths with different values.
+ *
+ * @property {string}            text - One line per difference prefixed by `+`, `-` or `~`; empty if there are none.
+ */
+
+/**
+ * @typedef {object} DiffEntry - Describes a difference between two configs.
+ *
+ * @property {string}   keyPath - The key path; IE `server.hosts[0]`, `plugins[name=foo].options` for plugins matched
+ *                                by name or `ignore[]` for an element of an array compared as a set.
+ *
+ * @property {*}        [value] - The added or removed value.
+ *
+ * @property {*}        [from] - The previous value of a changed key path.
+ *
+ * @property {*}        [to] - The new value of a changed key path.
+ */
+
+/**
+ * @typedef {object} MergeContext - Passed to merge strategies.
+ *
+ * @property {string}   key - The key of the merged values.
+ *
+ * @property {string}   keyPath - The dotted key path of the merged values.
+ *
+ * @property {function} merge - Merges a target and source value by the default merge rules applying merge strategies
+ *                              of nested keys; `merge(target, src)`.
+ */
+
+/**
+ * @typedef {object} ConfigMigration - Upgrades a config to a version.
+ *
+ * @property {number}   version - The version the config is upgraded to.
+ *
+ * @property {function} migrate - Receives a copy of the config and `{ from, to, source }` returning the upgraded
+ *                                config or modifying the copy.
+ *
+ * @property {string}   [deprecation] - Describes the deprecated config format for the deprecation notice.
+ */
+
+/**
+ * @typedef {object} MigrationData - Options for upgrading configs of older config format versions.
+ *
+ * @property {string}   [versionKey='version'] - The config key holding the config format version.
+ *
+ * @property {number}   currentVersion - The current config format version.
+ *
+ * @property {number}   [defaultVersion=currentVersion] - The version of configs without `versionKey`.
+ *
+ * @property {Array<ConfigMigration|function>}  [steps=[]] - The migrations in version order. Functions upgrade to
+ *                                                           consecutive versions ending with `currentVersion`.
+ */
+
+/**
+ * @typedef {object} ProvenanceEntry - Describes where a resolved config value came from.
+ *
+ * @property {*}              value - The resolved value.
+ *
+ * @property {string}         source - The config file path, module name or config name supplying the value;
+ *                                     `defaultValues` when set from default values.
+ *
+ * @property {Array<string>}  overrides - Any config sources with a lower precedence which also set the value.
+ */
+
+/**
+ * @typedef {object} RedactionScope - The sensitive values recorded during a single config resolution.
+ *
+ * @property {Set<string>}  keyPaths - The key paths secrets were expanded at.
+ *
+ * @property {Set<string>}  values - The sensitive values masked in messages.
+ */
+
+/**
+ * @typedef {object} RemoteConfigData - Options for fetching and caching remote configs.
+ *
+ * @property {boolean}  [allowHttp=false] - Allows `http://` URLs; IE for a local config server.
+ *
+ * @property {string}   [cacheDir='~/.cache/typhonjs-config-resolver'] - The directory fetched configs are cached in.
+ *
+ * @property {boolean}  [offline=false] - Only loads cached remote configs.
+ *
+ * @property {number}   [timeout=10000] - Milliseconds to wait for a remote config server.
+ */
+
+/**
+ * @typedef {object} SchemaViolation - Describes a JSON Schema violation.
+ *
+ * @property {string}   pointer - The JSON pointer of the violating value; IE `/server/port`.
+ *
+ * @property {string}   keyword - The failing schema keyword; IE `type`.
+ *
+ * @property {string}   message - Describes the violation.
+ *
+ * @property {*}        expected - The expected value or constraint of the keyword.
+ *
+ * @property {*}        actual - The actual value; the type name of the value for the `type` keyword.
+ *
+ * @property {string}   [source] - The config file, module or config name supplying the violating value.
+ */
+
+/**
+ * @typedef {object} TrustPolicyData - Restricts which executable configs may be loaded by `extends`.
+ *
+ * @property {Array<string>}  [allow] - NPM module names / directory roots of trusted executable configs. When set and
+ *                                      there is no `approve` hook other executable configs are rejected.
+ *
+ * @property {Array<string>}  [deny] - NPM module names / directory roots of rejected executable configs.
+ *
+ * @property {boolean}        [dataOnly=false] - Rejects all executable configs.
+ *
+ * @property {function(string, object): boolean} [approve] - Approves an executable config not in `allow` by returning
+ *                                                         true; receives the load path and `{ entry, moduleName,
+ *                                                         referencedFrom }`.
+ */
+
+/**
+ * @typedef {object} ValidationFailure - Describes a pre or post-validation failure of a validation report.
+ *
+ * @property {string}   stage - The validation stage; `pre` or `post`.
+ *
+ * @property {string}   keyPath - The dotted key path of the failing value; IE `server.hosts[0]`.
+ *
+ * @property {*}        expected - The expected type or rule.
+ *
+ * @property {*}        actual - The actual value.
+ *
+ * @property {string}   message - Describes the failure.
+ *
+ * @property {string}   source - The config file, module or config name supplying the failing value.
+ */
+
+/**
+ * @typedef {object} ValidationReport - Lists every validation failure of a config resolution.
+ *
+ * @property {boolean}                    valid - True if there are no failures.
+ *
+ * @property {Array<ValidationFailure>}   failures - The pre-validation failures in load order followed by the
+ *                                                   post-validation failures.
+ */
+
+/**
+ * @typedef {object} ResolveOptions - Optional parameters of the resolve methods.
+ *
+ * @property {string}        [configName='config'] - Name of the config object.
+ *
+ * @property {string}        [cwd=process.cwd()] - The directory relative `extends` entries and NPM modules of the
+ *                                                 config object are resolved from.
+ *
+ * @property {string}        [filePath] - The file path of the config object relative to `cwd`; relative `extends`
+ *                                        entries and NPM modules are resolved from its directory.
+ *
+ * @property {boolean}       [frozen=false] - Returns a deep-frozen `ResolvedConfig` accessor instead of a plain
+ *                                            object.
+ *
+ * @property {string|null}   [profile=process.env.NODE_ENV] - The profile section to merge when `profileKey` is set;
+ *                                                      null for none.
+ */
+
+/**
+ * @typedef {object} ResolveContext - Tracks the state of a single config resolution.
+ *
+ * @property {function}                   [validate] - A function performing validation of each loaded config.
+ *
+ * @property {Array<string>}              [loadedConfigs] - The config files / modules loaded in load order.
+ *
+ * @property {Map<string, object>}        [preloaded] - Config data already loaded keyed by load path.
+ *
+ * @property {ExtendsGraph}               [graph] - The dependency graph of the `extends` entries being resolved.
+ *
+ * @property {Array<string>}              [extendsChain] - The load paths from the root config to the config loading.
+ *
+ * @property {Map<string, string>}        [extendsPaths] - The `extends` paths rewritten by `config:resolver:load:pre`
+ *                                                       hooks keyed by the directory resolved relative to and path.
+ *
+ * @property {boolean}                    [frozen] - When true a `ResolvedConfig` is returned.
+ *
+ * @property {WeakMap<object, object[]>}  [layers] - When tracking provenance or applying `overrides` the merged config
+ *                                                   layers in precedence order for each loaded and merged config.
+ *
+ * @property {string}                     [configName] - The name of the root config object.
+ *
+ * @property {string|null}                [profile] - The profile section to merge.
+ *
+ * @property {string}                     [targetFile] - The absolute path of the file to apply `overrides` for.
+ *
+ * @property {Array<ValidationFailure>}   [report] - In the `collect` validation mode every validation failure.
+ *
+ * @property {boolean}                    [returnReport] - When true the report is returned instead of thrown.
+ *
+ * @property {RedactionScope}             [redaction] - The sensitive values recorded during the resolution.
+ *
+ * @property {boolean}                    [rootLoaded] - When true the root config was loaded by `resolveFile` and is
+ *                                                       already migrated and expanded.
+ *
+ * @ignore
  */
@@ -0,0 +1,5 @@
+export default {
+   extends: '../base.json',
+   esm: true,
+   value: 'esm'
+};
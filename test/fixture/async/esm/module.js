@@ -0,0 +1,4 @@
+export default {
+   'extends': './config.mjs',
+   'module': true
+};
@@ -0,0 +1,6 @@
+module.exports = {
+   'extends': './base.json',
+   'right': true,
+   'value': 'right',
+   'plugins': [{ name: 'right-plugin' }]
+};
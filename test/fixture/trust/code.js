@@ -0,0 +1,3 @@
+global.trustCodeLoaded = true;
+
+module.exports = { code: true };
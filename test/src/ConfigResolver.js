@@ -1,7 +1,16 @@
 import { testEventbus } from 'backbone-esnext-eventbus';
 import { assert }       from 'chai';
+import crypto           from 'crypto';
+import fs               from 'fs';
+import http             from 'http';
+import os               from 'os';
+import path             from 'path';
 import PluginManager    from 'typhonjs-plugin-manager';
 
+import ConfigResolver      from '../../src/ConfigResolver.js';
+import ConfigResolverError from '../../src/ConfigResolverError.js';
+import ResolvedConfig      from '../../src/ResolvedConfig.js';
+
 import testData         from 'typhonjs-config-resolver-tests/testdata';
 
 const pluginManager = new PluginManager({ eventbus: testEventbus });
@@ -22,6 +31,20 @@ pluginManager.add({
 /** @test {ConfigResolver} */
 describe('ConfigResolver', () =>
 {
+   const resolveError = (config, resolverData = void 0, options = {}) =>
+   {
+      try
+      {
+         new ConfigResolver(resolverData).resolve(config, options);
+      }
+      catch (err)
+      {
+         return err;
+      }
+
+      throw new Error('No error thrown.');
+   };
+
    it('throws on no data', () =>
    {
       assert.throws(() => testEventbus.trigger('config:resolver:resolve'));
@@ -58,5 +81,2017 @@ describe('ConfigResolver', () =>
          }
       });
    }
-});
 
+   describe('resolveAsync', () =>
+   {
+      it('resolves same result and load order as resolve', () =>
+      {
+         const config = { 'extends': ['./test/fixture/async/left.json', './test/fixture/async/right.js'],
+          'root': true };
+
+         const syncConfig = new ConfigResolver().resolve(JSON.parse(JSON.stringify(config)));
+
+         return testEventbus.triggerSync('config:resolver:resolve:async', config).then((asyncConfig) =>
+         {
+            assert.deepEqual(asyncConfig, syncConfig);
+            assert.lengthOf(asyncConfig.extends, 3);
+            assert.strictEqual(asyncConfig.value, 'right');
+         });
+      });
+
+      it('resolves ES Module configs', () =>
+      {
+         return new ConfigResolver().resolveAsync({ 'extends': './test/fixture/async/esm/module.js' }).then((config) =>
+         {
+            assert.isTrue(config.base);
+            assert.isTrue(config.esm);
+            assert.isTrue(config.module);
+            assert.strictEqual(config.value, 'esm');
+            assert.lengthOf(config.extends, 3);
+         });
+      });
+
+      it('rejects on missing config file', () =>
+      {
+         return new ConfigResolver().resolveAsync({ 'extends': './test/fixture/async/missing.json' }).then(() =>
+         {
+            throw new Error('should reject');
+         }, (err) =>
+         {
+            assert.include(err.message, 'Referenced from:');
+         });
+      });
+
+      it('rejects on no data', () =>
+      {
+         return new ConfigResolver().resolveAsync().then(() => { throw new Error('should reject'); },
+          (err) => assert.instanceOf(err, TypeError));
+      });
+   });
+
+   describe('loaders', () =>
+   {
+      /**
+       * Parses simple `key=value` lines.
+       *
+       * @param {string}   data - File contents.
+       *
+       * @returns {object} Parsed config.
+       */
+      const loadConf = (data) =>
+      {
+         const config = {};
+
+         for (const line of data.split('\n'))
+         {
+            const index = line.indexOf('=');
+
+            if (index > 0)
+            {
+               config[line.slice(0, index)] = line.slice(index + 1) === 'true' ? true : line.slice(index + 1);
+            }
+         }
+
+         return config;
+      };
+
+      it('resolves YAML, JSON5 and TOML configs', () =>
+      {
+         const config = new ConfigResolver().resolve({ 'extends': './test/fixture/loaders/config.toml' });
+
+         assert.lengthOf(config.extends, 3);
+         delete config.extends;
+
+         assert.deepEqual(config, { yaml: true, value: 'json5', server: { host: 'example.com', port: 9090 },
+          json5: true, toml: true });
+      });
+
+      it('resolves custom loader from registerLoader', () =>
+      {
+         const resolver = new ConfigResolver();
+
+         resolver.registerLoader(['.conf', '.cfg'], loadConf);
+
+         const config = resolver.resolve({ 'extends': './test/fixture/loaders/custom.conf' });
+
+         assert.isTrue(config.custom);
+         assert.isTrue(config.yaml);
+         assert.lengthOf(config.extends, 4);
+      });
+
+      it('resolves custom loader from resolver data', () =>
+      {
+         return new ConfigResolver({ loaders: { '.conf': loadConf } }).resolveAsync(
+          { 'extends': './test/fixture/loaders/custom.conf' }).then((config) =>
+         {
+            assert.isTrue(config.custom);
+            assert.isTrue(config.toml);
+         });
+      });
+
+      it('custom loader is not shared between instances', () =>
+      {
+         assert.throws(() => new ConfigResolver().resolve({ 'extends': './test/fixture/loaders/custom.conf' }),
+          ConfigResolverError, /Failed to parse/);
+      });
+
+      it('registerLoader throws on bad data', () =>
+      {
+         const resolver = new ConfigResolver();
+
+         assert.throws(() => resolver.registerLoader('conf', loadConf), TypeError);
+         assert.throws(() => resolver.registerLoader('.conf', false), TypeError);
+         assert.throws(() => resolver.registerLoader(false, loadConf), TypeError);
+      });
+   });
+
+   describe('discover', () =>
+   {
+      const names = ['.myapprc', '.myapprc.json', '.myapprc.yml', 'myapp.config.js'];
+
+      it('discovers rc file in parent directory', () =>
+      {
+         const result = testEventbus.triggerSync('config:resolver:discover',
+          { names, startDir: './test/fixture/discover/a/b', stopDir: './test/fixture/discover' });
+
+         assert.strictEqual(result.filePath, path.resolve('./test/fixture/discover/.myapprc.yml'));
+         assert.deepEqual(result.config.extends, [path.resolve('./test/fixture/discover/shared/base.json')]);
+         assert.isTrue(result.config.rc);
+         assert.isTrue(result.config.base);
+      });
+
+      it('discovers package.json key', () =>
+      {
+         const result = new ConfigResolver().discover(
+          { names, startDir: './test/fixture/discover/pkg/src', stopDir: './test/fixture/discover',
+           packageJsonKey: 'myapp' });
+
+         assert.strictEqual(result.filePath, path.resolve('./test/fixture/discover/pkg/package.json'));
+         assert.isTrue(result.config.base);
+         assert.strictEqual(result.config.value, 'package');
+      });
+
+      it('returns null when not found before stopDir', () =>
+      {
+         assert.isNull(new ConfigResolver().discover(
+          { names, startDir: './test/fixture/discover/a/b', stopDir: './test/fixture/discover/a' }));
+      });
+
+      it('throws on bad data', () =>
+      {
+         assert.throws(() => new ConfigResolver().discover({ names: '.myapprc' }), TypeError);
+         assert.throws(() => new ConfigResolver().discover({ names, stopDir: false }), TypeError);
+      });
+   });
+
+   describe('resolveProvenance', () =>
+   {
+      it('tracks source and overridden files of each key path', () =>
+      {
+         const { config, provenance } = new ConfigResolver({ defaultValues: { 'server.timeout': 30 } })
+          .resolveProvenance({ 'extends': './test/fixture/loaders/config.toml', 'value': 'root' });
+
+         const base = path.resolve('./test/fixture/loaders/base.yaml');
+         const middle = path.resolve('./test/fixture/loaders/middle.json5');
+         const toml = path.resolve('./test/fixture/loaders/config.toml');
+
+         assert.strictEqual(config.server.port, 9090);
+
+         assert.deepEqual(provenance.get('server.port'), { value: 9090, source: middle, overrides: [base] });
+         assert.deepEqual(provenance.get('server.host'),
+          { value: 'example.com', source: toml, overrides: [base] });
+         assert.deepEqual(provenance.get('value'), { value: 'root', source: 'config', overrides: [middle, base] });
+         assert.deepEqual(provenance.get('yaml'), { value: true, source: base, overrides: [] });
+         assert.deepEqual(provenance.get('server.timeout'), { value: 30, source: 'defaultValues', overrides: [] });
+         assert.isFalse(provenance.has('extends'));
+
+         assert.strictEqual(provenance.explain('server.port'),
+          `server.port: 9090\n   set by: ${middle}\n   overrides: ${base}`);
+         assert.include(provenance.explain('server'), 'server.host: "example.com"');
+         assert.strictEqual(provenance.explain('missing'), 'missing: not found');
+      });
+
+      it('tracks plugins by name and array elements', () =>
+      {
+         const { provenance } = testEventbus.triggerSync('config:resolver:resolve:provenance',
+          { 'extends': ['./test/fixture/async/left.json', './test/fixture/async/right.js'], 'tags': ['a', 'b'] });
+
+         assert.strictEqual(provenance.get('plugins[name=left-plugin]').source,
+          path.resolve('./test/fixture/async/left.json'));
+         assert.strictEqual(provenance.get('plugins[name=base-plugin]').source,
+          path.resolve('./test/fixture/async/base.json'));
+         assert.deepEqual(provenance.get('tags[1]'), { value: 'b', source: 'config', overrides: [] });
+      });
+   });
+
+   describe('environment variables', () =>
+   {
+      afterEach(() =>
+      {
+         delete process.env.TEST_RESOLVER_PORT;
+         delete process.env.TEST_RESOLVER_EXTENDS;
+         delete process.env.TESTAPP__server__port;
+         delete process.env.TESTAPP__server__tags;
+      });
+
+      it('expands placeholders with defaults and type coercion', () =>
+      {
+         process.env.TEST_RESOLVER_PORT = '8080';
+         process.env.TEST_RESOLVER_EXTENDS = './test/fixture/env/base.json';
+
+         return new ConfigResolver().resolveAsync({ 'extends': '${env:TEST_RESOLVER_EXTENDS}' }).then((config) =>
+         {
+            delete config.extends;
+
+            assert.deepEqual(config, { server: { host: 'localhost', port: 8080, url: 'http://localhost:8080/' },
+             debug: false });
+         });
+      });
+
+      it('does not modify loaded configs', () =>
+      {
+         const config = { name: 'test', port: '${env:TEST_RESOLVER_PORT:-80}' };
+
+         assert.strictEqual(new ConfigResolver().resolve(config).port, 80);
+         assert.strictEqual(config.port, '${env:TEST_RESOLVER_PORT:-80}');
+      });
+
+      it('throws on missing variable without default', () =>
+      {
+         assert.throws(() => new ConfigResolver().resolve({ 'extends': './test/fixture/env/base.json' }),
+          /Environment variable 'TEST_RESOLVER_PORT' is not set and has no default for 'server.port' in '.*base\.json'/);
+      });
+
+      it('interpolateEnv: false; does not expand placeholders', () =>
+      {
+         const config = new ConfigResolver({ interpolateEnv: false }).resolve({ port: '${env:TEST_RESOLVER_PORT}' });
+
+         assert.strictEqual(config.port, '${env:TEST_RESOLVER_PORT}');
+      });
+
+      it('envPrefix overrides nested keys before post-validation', () =>
+      {
+         process.env.TEST_RESOLVER_PORT = '8080';
+         process.env.TESTAPP__server__port = '9000';
+         process.env.TESTAPP__server__tags = '["a", "b"]';
+
+         const { config, provenance } = new ConfigResolver({
+            envPrefix: 'TESTAPP',
+            postValidate: { 'server.port': { type: 'number', expected: new Set([9000]) } }
+         }).resolveProvenance({ 'extends': './test/fixture/env/base.json' });
+
+         assert.strictEqual(config.server.port, 9000);
+         assert.deepEqual(config.server.tags, ['a', 'b']);
+         assert.strictEqual(provenance.get('server.port').source, 'env:TESTAPP');
+      });
+   });
+
+   describe('resolveForFile', () =>
+   {
+      const resolver = new ConfigResolver({ upgradeMergeList: ['globals'] });
+
+      /**
+       * Resolves the overrides fixture for a file in the fixture directory.
+       *
+       * @param {string}   filePath - File path relative to the fixture directory.
+       *
+       * @returns {object} Resolved config.
+       */
+      const resolveFor = (filePath) => resolver.resolveForFile({ 'extends': './test/fixture/overrides/config.json' },
+       `./test/fixture/overrides/${filePath}`);
+
+      it('merges all matching blocks on top of the base', () =>
+      {
+         const config = resolveFor('src/index.test.js');
+
+         assert.isFalse(config.semi);
+         assert.strictEqual(config.env, 'src');
+         assert.deepEqual(config.globals, ['base', 'test']);
+         assert.deepEqual(config.plugins.map((plugin) => plugin.name), ['base-plugin', 'test-plugin']);
+         assert.notProperty(config, 'overrides');
+         assert.notProperty(config, 'shared');
+      });
+
+      it('skips blocks with matching excludedFiles', () =>
+      {
+         const config = resolveFor('skip/index.test.js');
+
+         assert.isTrue(config.semi);
+         assert.notProperty(config, 'env');
+      });
+
+      it('matches blocks relative to the declaring config file', () =>
+      {
+         assert.isTrue(resolveFor('shared/lib/index.js').shared);
+         assert.notProperty(resolveFor('lib/index.js'), 'shared');
+      });
+
+      it('resolves from eventbus', () =>
+      {
+         const config = testEventbus.triggerSync('config:resolver:resolve:for:file',
+          { overrides: [{ files: '*.md', markdown: true }] }, './README.md');
+
+         assert.deepEqual(config, { markdown: true });
+      });
+
+      it('throws on block without files', () =>
+      {
+         assert.throws(() => resolver.resolveForFile({ overrides: [{ semi: true }] }, './README.md'), TypeError);
+      });
+   });
+
+   describe('profiles', () =>
+   {
+      const nodeEnv = process.env.NODE_ENV;
+
+      afterEach(() =>
+      {
+         if (typeof nodeEnv === 'undefined') { delete process.env.NODE_ENV; }
+         else { process.env.NODE_ENV = nodeEnv; }
+      });
+
+      it('merges profile sections from every config after extension', () =>
+      {
+         const config = new ConfigResolver({ profileKey: 'profiles' }).resolve(
+          { 'extends': './test/fixture/profiles/config.json' }, 'config', { profile: 'production' });
+
+         delete config.extends;
+
+         assert.deepEqual(config, { debug: false, level: 'error' });
+      });
+
+      it('selects profile by NODE_ENV', () =>
+      {
+         process.env.NODE_ENV = 'test';
+
+         return new ConfigResolver({ profileKey: 'profiles' }).resolveAsync(
+          { 'extends': './test/fixture/profiles/config.json' }).then((config) =>
+         {
+            assert.strictEqual(config.level, 'silent');
+            assert.notProperty(config, 'profiles');
+         });
+      });
+
+      it('removes profile sections when no profile is selected', () =>
+      {
+         const config = new ConfigResolver({ profileKey: 'profiles' }).resolve(
+          { 'extends': './test/fixture/profiles/config.json' }, 'config', { profile: null });
+
+         delete config.extends;
+
+         assert.deepEqual(config, { debug: true, level: 'info' });
+      });
+
+      it('keeps profile sections when profileKey is not set', () =>
+      {
+         const config = new ConfigResolver().resolve({ 'extends': './test/fixture/profiles/config.json' }, 'config',
+          { profile: 'production' });
+
+         assert.strictEqual(config.level, 'info');
+         assert.deepEqual(config.profiles.production, { debug: false, level: 'error' });
+      });
+
+      it('pre-validates profile sections', () =>
+      {
+         const preValidate = { level: { test: 'entry', type: 'string', required: false } };
+
+         const resolver = new ConfigResolver({ preValidate, profileKey: 'profiles' });
+
+         assert.throws(() => resolver.resolve({ level: 'info', profiles: { production: { level: 1 } } }, 'config',
+          { profile: 'production' }), ConfigResolverError, `'config (profiles.production).level'`);
+
+         const { report } = new ConfigResolver({ preValidate, profileKey: 'profiles' }).resolveReport(
+          { level: 'info', profiles: { production: { level: 1 } } }, 'config', { profile: 'production' });
+
+         assert.deepEqual(report.failures.map((failure) => failure.source), ['config (profiles.production)']);
+      });
+
+      it('profileKey: env; merges env sections', () =>
+      {
+         const { config, provenance } = new ConfigResolver({ profileKey: 'env' }).resolveProvenance(
+          { level: 'info', env: { production: { level: 'error' } } }, 'config', { profile: 'production' });
+
+         assert.deepEqual(config, { level: 'error' });
+         assert.strictEqual(provenance.get('level').source, 'config (env.production)');
+      });
+   });
+
+   describe('mergeStrategies', () =>
+   {
+      const config = { 'extends': './test/fixture/merge/config.json' };
+
+      it('keeps the default merge rules', () =>
+      {
+         const resolved = new ConfigResolver().resolve(config);
+
+         assert.deepEqual(resolved.hosts, ['c.example.com', 'b.example.com']);
+         assert.deepEqual(resolved.ignore, ['coverage', 'dist']);
+         assert.deepEqual(resolved.tags, ['config']);
+
+         const plugins = new ConfigResolver().resolve({
+            'extends': ['./test/fixture/merge/left.json', './test/fixture/merge/right.json'],
+            'plugins': [{ name: 'first' }, { name: 'second' }]
+         }).plugins;
+
+         assert.deepEqual(plugins.map((plugin) => plugin.name), ['left-plugin', 'second', 'first', 'right-plugin']);
+      });
+
+      it('merges by key path and key name with built-in strategies', () =>
+      {
+         const resolved = new ConfigResolver({
+            mergeStrategies: {
+               'hosts': 'prepend',
+               'ignore': 'union',
+               'rules': 'mergeByKey(id)',
+               'server.hosts': 'append',
+               'server.options': 'replace',
+               'tags': 'append'
+            }
+         }).resolve(config);
+
+         assert.deepEqual(resolved.hosts, ['c.example.com', 'a.example.com', 'b.example.com']);
+         assert.deepEqual(resolved.ignore, ['dist', 'node_modules', 'coverage']);
+         assert.deepEqual(resolved.rules, [{ id: 'quotes', level: 'error', style: 'single' },
+          { id: 'semi', level: 'error' }, { id: 'indent', level: 'warn' }]);
+         assert.deepEqual(resolved.server, { hosts: ['base.example.com', 'config.example.com'],
+          options: { http2: true } });
+         assert.deepEqual(resolved.tags, ['base', 'config']);
+      });
+
+      it('merges with functions, upgradeMergeList defaults and plugins entries', () =>
+      {
+         const keyPaths = [];
+
+         const resolved = new ConfigResolver({
+            upgradeMergeList: ['ignore', 'tags'],
+            mergeStrategies: {
+               hosts: (target, src, context) =>
+               {
+                  keyPaths.push(context.keyPath);
+                  return src.concat(target || []).sort();
+               },
+               plugins: 'mergeByKey(name)',
+               server: 'deep'
+            }
+         }).resolve({ 'extends': ['./test/fixture/async/left.json', './test/fixture/merge/config.json'] });
+
+         // Invoked when merging each config of the extension chain.
+         assert.deepEqual(keyPaths, ['hosts', 'server.hosts', 'hosts', 'server.hosts']);
+         assert.deepEqual(resolved.hosts, ['a.example.com', 'b.example.com', 'c.example.com']);
+         assert.deepEqual(resolved.server.hosts, ['base.example.com', 'config.example.com']);
+         assert.deepEqual(resolved.tags, ['base', 'config']);
+         assert.deepEqual(resolved.plugins.map((plugin) => plugin.name), ['base-plugin', 'left-plugin']);
+      });
+
+      it('throws on unknown strategies', () =>
+      {
+         assert.throws(() => new ConfigResolver({ mergeStrategies: { hosts: 'merge' } }), TypeError,
+          `'mergeStrategies.hosts' is not a known merge strategy name or a 'function'.`);
+      });
+   });
+
+   describe('ConfigResolverError', () =>
+   {
+      const errorsDir = path.resolve('./test/fixture/errors');
+
+      it('PARSE_ERROR maps the location to the original JSON with comments and has the extends chain', () =>
+      {
+         const err = resolveError({ 'extends': './test/fixture/errors/root.json' });
+
+         assert.instanceOf(err, ConfigResolverError);
+         assert.strictEqual(err.code, 'PARSE_ERROR');
+         assert.strictEqual(err.filePath, path.join(errorsDir, 'broken.json'));
+         assert.strictEqual(err.line, 6);
+         assert.strictEqual(err.column, 4);
+         assert.deepEqual(err.extendsChain, [path.join(errorsDir, 'root.json'), path.join(errorsDir, 'chain.json'),
+          path.join(errorsDir, 'broken.json')]);
+         assert.strictEqual(err.codeFrame, [
+            '  4 |    "name": "broken", // A line comment.',
+            '  5 |    "value": 1',
+            '> 6 |    "missing": "comma"',
+            '         ^',
+            '  7 | }'
+         ].join('\n'));
+         assert.include(err.message, 'Referenced from:');
+      });
+
+      it('PARSE_ERROR for YAML', () =>
+      {
+         const err = resolveError({ 'extends': './test/fixture/errors/broken.yaml' });
+
+         assert.strictEqual(err.code, 'PARSE_ERROR');
+         assert.strictEqual(err.line, 3);
+         assert.isString(err.codeFrame);
+      });
+
+      it('NOT_FOUND for files and modules', () =>
+      {
+         let err = resolveError({ 'extends': './test/fixture/errors/not-found.json' });
+
+         assert.strictEqual(err.code, 'NOT_FOUND');
+         assert.strictEqual(err.filePath, path.join(errorsDir, 'missing.json'));
+         assert.deepEqual(err.extendsChain, [path.join(errorsDir, 'not-found.json'), path.join(errorsDir,
+          'missing.json')]);
+
+         err = resolveError({ 'extends': 'typhonjs-missing-config-module' });
+
+         assert.strictEqual(err.code, 'NOT_FOUND');
+         assert.strictEqual(err.filePath, 'typhonjs-missing-config-module');
+      });
+
+      it('VALIDATION_FAILED', () =>
+      {
+         let err = resolveError({ 'extends': './test/fixture/profiles/base.json' },
+          { preValidate: { level: { test: 'entry', type: 'number', required: false } } });
+
+         assert.strictEqual(err.code, 'VALIDATION_FAILED');
+         assert.strictEqual(err.filePath, path.resolve('./test/fixture/profiles/base.json'));
+
+         err = resolveError({ level: 1 }, { postValidate: { level: { test: 'entry', type: 'string' } } });
+
+         assert.strictEqual(err.code, 'VALIDATION_FAILED');
+         assert.isUndefined(err.filePath);
+      });
+
+      it('resolveAsync rejects with the same error', () =>
+      {
+         return new ConfigResolver().resolveAsync({ 'extends': './test/fixture/errors/root.json' }).then(() =>
+         {
+            throw new Error('No error thrown.');
+         }, (err) =>
+         {
+            assert.instanceOf(err, ConfigResolverError);
+            assert.strictEqual(err.code, 'PARSE_ERROR');
+            assert.strictEqual(err.line, 6);
+            assert.lengthOf(err.extendsChain, 3);
+         });
+      });
+   });
+
+   describe('extends graph', () =>
+   {
+      const graphDir = path.resolve('./test/fixture/graph');
+
+      const diamond = () => ({ 'extends': ['./test/fixture/graph/left.json', './test/fixture/graph/right.json'] });
+
+      it('merges a diamond dependency once with the lowest precedence', () =>
+      {
+         const config = new ConfigResolver().resolve(diamond());
+
+         assert.strictEqual(config.shared, 'left');
+         assert.strictEqual(config.value, 'right');
+         assert.isTrue(config.base);
+         assert.sameMembers(config.extends, ['left.json', 'right.json', 'base.json'].map((file) =>
+          path.join(graphDir, file)));
+      });
+
+      it('resolveAsync merges a diamond dependency the same as resolve', () =>
+      {
+         return new ConfigResolver().resolveAsync(diamond()).then((config) =>
+         {
+            assert.deepEqual(config, new ConfigResolver().resolve(diamond()));
+         });
+      });
+
+      it('throws CIRCULAR_EXTENDS showing the cycle path', () =>
+      {
+         const cycleA = path.join(graphDir, 'cycle-a.json');
+         const cycleB = path.join(graphDir, 'cycle-b.json');
+
+         assert.throws(() => new ConfigResolver().resolve({ 'extends': './test/fixture/graph/cycle-a.json' }),
+          ConfigResolverError, `Circular extends: ${cycleA} -> ${cycleB} -> ${cycleA}`);
+
+         return new ConfigResolver().resolveAsync({ 'extends': './test/fixture/graph/cycle-b.json' }).then(() =>
+         {
+            throw new Error('should reject');
+         }, (err) =>
+         {
+            assert.strictEqual(err.code, 'CIRCULAR_EXTENDS');
+            assert.deepEqual(err.extendsChain, [cycleB, cycleA, cycleB]);
+         });
+      });
+
+      it('exports the graph as JSON and DOT', () =>
+      {
+         const base = path.join(graphDir, 'base.json');
+         const left = path.join(graphDir, 'left.json');
+         const right = path.join(graphDir, 'right.json');
+
+         const { config, graph } = testEventbus.triggerSync('config:resolver:resolve:graph', diamond(), 'diamond');
+
+         assert.strictEqual(config.shared, 'left');
+
+         assert.deepEqual(graph.toJSON(), {
+            root: 'diamond',
+            nodes: { diamond: [left, right], [left]: [base], [base]: [], [right]: [base] },
+            precedence: [base, left, right, 'diamond']
+         });
+
+         assert.include(graph.toDOT(), `"diamond" -> ${JSON.stringify(left)} [label="0"];`);
+         assert.include(graph.toDOT(), `${JSON.stringify(right)} -> ${JSON.stringify(base)} [label="0"];`);
+      });
+   });
+
+   describe('schema', () =>
+   {
+      const schemaDir = path.resolve('./test/fixture/schema');
+
+      const schema = {
+         type: 'object',
+         definitions: { tag: { type: 'string' } },
+         properties: {
+            debug: { 'type': 'boolean', 'default': false },
+            server: {
+               type: 'object',
+               required: ['host'],
+               properties: {
+                  host: { type: 'string' },
+                  port: { anyOf: [{ type: 'integer' }, { type: 'string', pattern: '^\\d+$' }] },
+                  timeout: { 'type': 'integer', 'default': 30 }
+               }
+            },
+            tags: { type: 'array', items: { $ref: '#/definitions/tag' } }
+         }
+      };
+
+      it('applies defaults of the post schema', () =>
+      {
+         const config = new ConfigResolver({ schema: { post: schema } }).resolve({ server: { host: 'localhost' } });
+
+         assert.deepEqual(config, { debug: false, server: { host: 'localhost', timeout: 30 } });
+      });
+
+      it('reports every post schema violation with the pointer and source config', () =>
+      {
+         const err = resolveError({ 'extends': './test/fixture/schema/config.json', 'debug': 'yes' },
+          { schema: { post: schema } });
+
+         assert.instanceOf(err, ConfigResolverError);
+         assert.strictEqual(err.code, 'VALIDATION_FAILED');
+
+         assert.sameDeepMembers(err.violations.map((violation) => [violation.pointer, violation.keyword,
+          violation.source]), [
+            ['/debug', 'type', 'config'],
+            ['/server/host', 'type', path.join(schemaDir, 'config.json')],
+            ['/tags/1', 'type', path.join(schemaDir, 'config.json')]
+         ]);
+
+         const host = err.violations.find((violation) => violation.pointer === '/server/host');
+
+         assert.strictEqual(host.expected, 'string');
+         assert.strictEqual(host.actual, 'integer');
+         assert.include(err.message, `/server/host: must be of type 'string' (${path.join(schemaDir, 'config.json')})`);
+      });
+
+      it('validates each loaded config with the pre schema', () =>
+      {
+         const err = resolveError({ 'extends': './test/fixture/schema/config.json' },
+          { schema: { pre: { properties: { server: { properties: { port: { type: 'integer' } } } } } } });
+
+         assert.strictEqual(err.code, 'VALIDATION_FAILED');
+         assert.strictEqual(err.filePath, path.join(schemaDir, 'base.json'));
+         assert.deepEqual(err.violations.map((violation) => [violation.pointer, violation.source]),
+          [['/server/port', path.join(schemaDir, 'base.json')]]);
+      });
+
+      it('throws on invalid schema data', () =>
+      {
+         assert.throws(() => new ConfigResolver({ schema: null }), TypeError, `'schema' is not an 'object'.`);
+         assert.throws(() => new ConfigResolver({ schema: { post: 'x' } }), TypeError,
+          `'schema.post' is not an 'object'.`);
+      });
+   });
+
+   describe('validationMode: collect', () =>
+   {
+      const schemaDir = path.resolve('./test/fixture/schema');
+
+      const resolverData = {
+         preValidate: { 'server.port': { test: 'entry', type: 'number', required: false } },
+         postValidate: { 'server.host': { test: 'entry', type: 'string' } },
+         schema: { post: { properties: { tags: { type: 'array', items: { type: 'string' } } } } },
+         validationMode: 'collect'
+      };
+
+      it('continues through the extends chain and throws a report of every failure', () =>
+      {
+         const err = resolveError({ 'extends': './test/fixture/schema/config.json' }, resolverData);
+
+         assert.instanceOf(err, ConfigResolverError);
+         assert.strictEqual(err.code, 'VALIDATION_FAILED');
+
+         assert.deepEqual(err.report.map((failure) => [failure.stage, failure.keyPath, failure.expected, failure.actual,
+          failure.source]), [
+            ['pre', 'server.port', 'number', '8080', path.join(schemaDir, 'base.json')],
+            ['post', 'tags[1]', 'string', 1, path.join(schemaDir, 'config.json')],
+            ['post', 'server.host', 'string', 80, path.join(schemaDir, 'config.json')]
+         ]);
+
+         assert.include(err.message, `[pre] server.port: `);
+      });
+
+      it('resolveReport returns the report', () =>
+      {
+         const { config, report } = new ConfigResolver(resolverData).resolveReport(
+          { 'extends': './test/fixture/schema/config.json', 'server': { host: 'localhost' } });
+
+         assert.strictEqual(config.server.host, 'localhost');
+         assert.isFalse(report.valid);
+         assert.deepEqual(report.failures.map((failure) => failure.keyPath), ['server.port', 'tags[1]']);
+      });
+
+      it('resolves report from eventbus', () =>
+      {
+         const { config, report } = testEventbus.triggerSync('config:resolver:validate:report', { value: 1 });
+
+         assert.deepEqual(config, { value: 1 });
+         assert.deepEqual(report, { valid: true, failures: [] });
+      });
+
+      it('throws on invalid validationMode', () =>
+      {
+         assert.throws(() => new ConfigResolver({ validationMode: 'first' }), TypeError,
+          `'validationMode' is not 'throw' or 'collect'.`);
+      });
+   });
+
+   describe('cache', () =>
+   {
+      let tempDir;
+
+      const config = () => ({ 'extends': path.join(tempDir, 'config.json') });
+
+      beforeEach(() =>
+      {
+         tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-resolver-'));
+
+         fs.writeFileSync(path.join(tempDir, 'base.js'), 'module.exports = { port: 80 };');
+         fs.writeFileSync(path.join(tempDir, 'config.json'), '{ "extends": "./base.js", "name": "test" }');
+      });
+
+      afterEach(() =>
+      {
+         for (const file of fs.readdirSync(tempDir)) { fs.unlinkSync(path.join(tempDir, file)); }
+
+         fs.rmdirSync(tempDir);
+      });
+
+      it('reuses unchanged configs and reloads changed files including .js files', () =>
+      {
+         const resolver = new ConfigResolver({ cache: true });
+
+         assert.strictEqual(resolver.resolve(config()).port, 80);
+
+         const resolved = resolver.resolve(config());
+
+         assert.strictEqual(resolved.port, 80);
+         assert.deepEqual(resolver.getCacheStats(), { hits: 2, misses: 2, size: 2 });
+
+         // Cached data is not modified by resolution.
+         resolved.name = 'changed';
+         assert.strictEqual(resolver.resolve(config()).name, 'test');
+
+         fs.writeFileSync(path.join(tempDir, 'base.js'), 'module.exports = { port: 8080 };');
+
+         assert.strictEqual(resolver.resolve(config()).port, 8080);
+         assert.deepEqual(resolver.getCacheStats(), { hits: 5, misses: 3, size: 2 });
+
+         resolver.clearCache();
+
+         assert.deepEqual(resolver.getCacheStats(), { hits: 0, misses: 0, size: 0 });
+      });
+
+      it('hash; reloads files when the contents change', () =>
+      {
+         const resolver = new ConfigResolver({ cache: 'hash' });
+
+         resolver.resolve(config());
+
+         fs.writeFileSync(path.join(tempDir, 'config.json'), '{ "extends": "./base.js", "name": "test" }');
+
+         assert.strictEqual(resolver.resolve(config()).name, 'test');
+         assert.strictEqual(resolver.getCacheStats().hits, 2);
+
+         fs.writeFileSync(path.join(tempDir, 'config.json'), '{ "extends": "./base.js", "name": "hash" }');
+
+         assert.strictEqual(resolver.resolve(config()).name, 'hash');
+         assert.strictEqual(resolver.getCacheStats().misses, 3);
+      });
+
+      it('resolveAsync shares the cache', () =>
+      {
+         const resolver = new ConfigResolver({ cache: true });
+
+         resolver.resolve(config());
+
+         return resolver.resolveAsync(config()).then((resolved) =>
+         {
+            assert.strictEqual(resolved.port, 80);
+            assert.deepEqual(resolver.getCacheStats(), { hits: 2, misses: 2, size: 2 });
+         });
+      });
+
+      it('is disabled by default', () =>
+      {
+         assert.deepEqual(testEventbus.triggerSync('config:resolver:cache:stats'), { hits: 0, misses: 0, size: 0 });
+         assert.throws(() => new ConfigResolver({ cache: 'size' }), TypeError,
+          `'cache' is not a 'boolean', 'mtime' or 'hash'.`);
+      });
+   });
+
+   describe('sharedConfigPrefix', () =>
+   {
+      const modulesDir = path.resolve('./test/fixture/shared/node_modules');
+
+      it('expands shorthand module names resolved relative to the declaring config', () =>
+      {
+         const { config, graph } = new ConfigResolver({ sharedConfigPrefix: 'myapp-config' }).resolveGraph(
+          { 'extends': './test/fixture/shared/config.json' });
+
+         assert.strictEqual(config.name, 'shared');
+         assert.isTrue(config.foo);
+         assert.isTrue(config.strict);
+         assert.isTrue(config.scope);
+
+         assert.includeMembers(graph.nodes, [
+            path.join(modulesDir, 'myapp-config-foo', 'index.json'),
+            path.join(modulesDir, 'myapp-config-foo', 'base.json'),
+            path.join(modulesDir, 'myapp-config-foo', 'strict.json'),
+            path.join(modulesDir, '@scope', 'myapp-config', 'index.json')
+         ]);
+      });
+
+      it('resolveAsync expands shorthand module names', () =>
+      {
+         return new ConfigResolver({ sharedConfigPrefix: 'myapp-config' }).resolveAsync(
+          { 'extends': './test/fixture/shared/config.json' }).then((config) =>
+         {
+            assert.isTrue(config.foo);
+            assert.isTrue(config.strict);
+            assert.isTrue(config.scope);
+         });
+      });
+
+      it('does not find modules relative to the resolver', () =>
+      {
+         const err = resolveError({ 'extends': 'foo' }, { sharedConfigPrefix: 'myapp-config' });
+
+         assert.strictEqual(err.code, 'NOT_FOUND');
+         assert.strictEqual(err.filePath, 'myapp-config-foo');
+      });
+   });
+
+   describe('resolve options', () =>
+   {
+      const graphDir = path.resolve('./test/fixture/graph');
+
+      it('resolves relative extends from cwd or the directory of filePath', () =>
+      {
+         let config = new ConfigResolver().resolve({ 'extends': './left.json' }, { cwd: './test/fixture/graph' });
+
+         assert.strictEqual(config.value, 'left');
+         assert.isTrue(config.base);
+
+         config = new ConfigResolver().resolve({ 'extends': './right.json' },
+          { configName: 'root', filePath: './test/fixture/graph/config.json' });
+
+         assert.strictEqual(config.value, 'right');
+      });
+
+      it('resolveFile loads the root config file', () =>
+      {
+         const config = new ConfigResolver().resolveFile('./test/fixture/graph/left.json');
+
+         assert.strictEqual(config.value, 'left');
+         assert.deepEqual(config.extends, [path.join(graphDir, 'base.json')]);
+
+         const resolved = new ConfigResolver({ sharedConfigPrefix: 'myapp-config' }).resolveFile('./config.json',
+          { cwd: './test/fixture/shared' });
+
+         assert.isTrue(resolved.scope);
+      });
+
+      it('resolveFile loads a bare file name as a file before an NPM module', () =>
+      {
+         assert.strictEqual(new ConfigResolver().resolveFile('left.json', { cwd: graphDir }).value, 'left');
+
+         const config = new ConfigResolver().resolveFile('myapp-config-foo', { cwd: './test/fixture/shared' });
+
+         assert.deepEqual([config.foo, config.strict], [true, false]);
+
+         assert.throws(() => new ConfigResolver().resolveFile('missing.json', { cwd: graphDir }), ConfigResolverError,
+          path.join(graphDir, 'missing.json'));
+      });
+
+      it('resolveFile throws NOT_FOUND', () =>
+      {
+         const missing = path.join(graphDir, 'missing.json');
+
+         assert.throws(() => new ConfigResolver().resolveFile(missing), ConfigResolverError, missing);
+
+         try
+         {
+            new ConfigResolver().resolveFile(missing);
+         }
+         catch (err)
+         {
+            assert.strictEqual(err.code, 'NOT_FOUND');
+            assert.strictEqual(err.filePath, missing);
+         }
+      });
+
+      it('resolves with options from eventbus', () =>
+      {
+         let config = testEventbus.triggerSync('config:resolver:resolve', { 'extends': './left.json' },
+          { cwd: './test/fixture/graph' });
+
+         assert.strictEqual(config.value, 'left');
+
+         config = testEventbus.triggerSync('config:resolver:resolve:file', './right.json',
+          { cwd: './test/fixture/graph' });
+
+         assert.strictEqual(config.value, 'right');
+
+         return testEventbus.triggerSync('config:resolver:resolve:async', { 'extends': './left.json' },
+          { cwd: './test/fixture/graph' }).then((resolved) => assert.strictEqual(resolved.value, 'left'));
+      });
+   });
+
+   describe('trust', () =>
+   {
+      const trustDir = path.resolve('./test/fixture/trust');
+
+      const config = () => ({ 'extends': './test/fixture/trust/config.json' });
+
+      afterEach(() => { delete global.trustCodeLoaded; });
+
+      it('dataOnly; rejects executable configs naming the entry and referencing config', () =>
+      {
+         const err = resolveError(config(), { trust: { dataOnly: true } });
+
+         assert.instanceOf(err, ConfigResolverError);
+         assert.strictEqual(err.code, 'UNTRUSTED');
+         assert.strictEqual(err.filePath, path.join(trustDir, 'code.js'));
+         assert.include(err.message, `Untrusted config './code.js' (${path.join(trustDir, 'code.js')}) referenced ${
+          `from '${path.join(trustDir, 'config.json')}'`}: trust.dataOnly only allows data configs.`);
+         assert.isUndefined(global.trustCodeLoaded);
+
+         const resolved = new ConfigResolver({ trust: { dataOnly: true } }).resolve(
+          { 'extends': './test/fixture/trust/data.json' });
+
+         assert.isTrue(resolved.data);
+      });
+
+      it('dataOnly; parses modules resolving to data configs and rejects any other module', () =>
+      {
+         const resolver = new ConfigResolver({ trust: { dataOnly: true } });
+
+         assert.isTrue(resolver.resolve({ 'extends': 'trust-data' }, { cwd: trustDir }).moduleData);
+
+         // The module main is parsed by the loader of its file extension, not executed.
+         let err = resolveError({ 'extends': 'evil' }, { trust: { dataOnly: true } }, { cwd: trustDir });
+
+         assert.strictEqual(err.code, 'PARSE_ERROR');
+         assert.isUndefined(global.trustCodeLoaded);
+
+         err = resolveError({ 'extends': 'evil-conf' }, { trust: { dataOnly: true } }, { cwd: trustDir });
+
+         assert.strictEqual(err.code, 'UNTRUSTED');
+         assert.include(err.message, `Untrusted config 'evil-conf' (${
+          path.join(trustDir, 'node_modules', 'evil-conf', 'config.conf')})`);
+         assert.isUndefined(global.trustCodeLoaded);
+
+         return new ConfigResolver({ trust: { dataOnly: true } }).resolveAsync({ 'extends': 'trust-data' },
+          { cwd: trustDir }).then((config) => assert.isTrue(config.moduleData));
+      });
+
+      it('allows / denies module names and directory roots', () =>
+      {
+         assert.isTrue(new ConfigResolver({ trust: { allow: ['./test/fixture/trust'] } }).resolve(config()).code);
+
+         let err = resolveError(config(), { trust: { allow: ['./test/fixture/async'] } });
+
+         assert.strictEqual(err.code, 'UNTRUSTED');
+         assert.include(err.message, 'not in trust.allow');
+
+         err = resolveError(config(), { trust: { allow: ['./test/fixture'], deny: ['./test/fixture/trust'] } });
+
+         assert.include(err.message, 'denied by trust.deny');
+
+         err = resolveError({ 'extends': 'typhonjs-missing-config-module' },
+          { trust: { deny: ['typhonjs-missing-config-module'] } });
+
+         assert.strictEqual(err.code, 'UNTRUSTED');
+         assert.include(err.message, `referenced from 'config'`);
+      });
+
+      it('approve; approves individual paths', () =>
+      {
+         const approved = [];
+
+         const approve = (loadPath, { entry, referencedFrom }) =>
+         {
+            approved.push([loadPath, entry, referencedFrom]);
+            return approved.length > 1;
+         };
+
+         const resolver = new ConfigResolver({ trust: { approve } });
+
+         assert.throws(() => resolver.resolve(config()), ConfigResolverError, 'not approved by trust.approve');
+         assert.isTrue(resolver.resolve(config()).code);
+
+         assert.deepEqual(approved[0],
+          [path.join(trustDir, 'code.js'), './code.js', path.join(trustDir, 'config.json')]);
+      });
+
+      it('resolveAsync rejects before loading', () =>
+      {
+         return new ConfigResolver({ trust: { dataOnly: true } }).resolveAsync(config()).then(() =>
+         {
+            throw new Error('No error thrown.');
+         }, (err) =>
+         {
+            assert.strictEqual(err.code, 'UNTRUSTED');
+            assert.isUndefined(global.trustCodeLoaded);
+         });
+      });
+   });
+
+   describe('diff', () =>
+   {
+      const configA = {
+         plugins: [{ name: 'a', options: { level: 1 } }, { name: 'b' }],
+         tags: ['x', 'y'],
+         hosts: ['one', 'two'],
+         server: { port: 80 },
+         removed: true
+      };
+
+      const configB = {
+         plugins: [{ name: 'c' }, { name: 'b' }, { name: 'a', options: { level: 2 } }],
+         tags: ['y', 'z', 'x'],
+         hosts: ['two', 'one'],
+         server: { port: 443, tls: { cert: 'cert.pem' } }
+      };
+
+      it('reports added, removed and changed key paths', () =>
+      {
+         const diff = new ConfigResolver({ upgradeMergeList: ['tags'] }).diff(configA, configB);
+
+         assert.deepEqual(diff.added, [
+            { keyPath: 'plugins[name=c]', value: { name: 'c' } },
+            { keyPath: 'tags[]', value: 'z' },
+            { keyPath: 'server.tls', value: { cert: 'cert.pem' } }
+         ]);
+
+         assert.deepEqual(diff.removed, [{ keyPath: 'removed', value: true }]);
+
+         assert.deepEqual(diff.changed, [
+            { keyPath: 'plugins[name=a].options.level', from: 1, to: 2 },
+            { keyPath: 'hosts[0]', from: 'one', to: 'two' },
+            { keyPath: 'hosts[1]', from: 'two', to: 'one' },
+            { keyPath: 'server.port', from: 80, to: 443 }
+         ]);
+
+         assert.strictEqual(diff.text, [
+            '+ plugins[name=c]: {"name":"c"}',
+            '+ tags[]: "z"',
+            '+ server.tls: {"cert":"cert.pem"}',
+            '- removed: true',
+            '~ plugins[name=a].options.level: 1 -> 2',
+            '~ hosts[0]: "one" -> "two"',
+            '~ hosts[1]: "two" -> "one"',
+            '~ server.port: 80 -> 443'
+         ].join('\n'));
+      });
+
+      it('union strategy arrays are sets; config:resolver:diff', () =>
+      {
+         const diff = new ConfigResolver({ mergeStrategies: { hosts: 'union' } }).diff(configA, configB);
+
+         assert.isUndefined(diff.changed.find((entry) => entry.keyPath.indexOf('hosts') === 0));
+         assert.deepEqual(diff.added.find((entry) => entry.keyPath === 'tags[2]'), { keyPath: 'tags[2]', value: 'x' });
+
+         const eventDiff = testEventbus.triggerSync('config:resolver:diff', { plugins: [{ name: 'a' }] },
+          { plugins: [{ name: 'a' }] });
+
+         assert.deepEqual(eventDiff, { added: [], removed: [], changed: [], text: '' });
+      });
+   });
+
+   describe('secrets', () =>
+   {
+      const config = () => ({ 'extends': './test/fixture/secrets/base.json',
+       'apiKey': { $env: 'CONFIG_RESOLVER_TEST_KEY' } });
+
+      beforeEach(() =>
+      {
+         process.env.CONFIG_RESOLVER_TEST_KEY = 'env-secret';
+         process.env.CONFIG_RESOLVER_TEST_TOKEN = 'token-secret';
+      });
+
+      afterEach(() =>
+      {
+         delete process.env.CONFIG_RESOLVER_TEST_KEY;
+         delete process.env.CONFIG_RESOLVER_TEST_TOKEN;
+      });
+
+      it('expands $file and $env references', () =>
+      {
+         const resolved = new ConfigResolver().resolve(config());
+
+         assert.strictEqual(resolved.apiKey, 'env-secret');
+         assert.deepEqual(resolved.db, { host: 'localhost', password: 'file-secret' });
+         assert.deepEqual(resolved.tokens, ['token-secret']);
+
+         delete process.env.CONFIG_RESOLVER_TEST_TOKEN;
+
+         let err = resolveError(config());
+
+         assert.strictEqual(err.code, 'ENV_NOT_SET');
+         assert.include(err.message,
+          `Secret environment variable 'CONFIG_RESOLVER_TEST_TOKEN' is not set for 'tokens[0]'`);
+
+         err = resolveError({ password: { $file: './missing_password' } });
+
+         assert.strictEqual(err.code, 'NOT_FOUND');
+         assert.include(err.message, `Secret file '${path.resolve('./missing_password')}' for 'password' in 'config'`);
+      });
+
+      it('toRedactedJSON masks secrets and sensitive keys', () =>
+      {
+         const resolver = new ConfigResolver({ sensitiveKeys: ['db.host', /^secret/i] });
+
+         const resolved = resolver.resolve(Object.assign(config(), { secretName: 'name', other: { secretId: 1 },
+          copy: 'file-secret' }));
+
+         assert.deepEqual(resolver.toRedactedJSON(resolved), {
+            'apiKey': '[REDACTED]',
+            'db': { host: '[REDACTED]', password: '[REDACTED]' },
+            'tokens': ['[REDACTED]'],
+            'secretName': '[REDACTED]',
+            'other': { secretId: '[REDACTED]' },
+            'copy': 'file-secret',
+            'extends': [path.resolve('./test/fixture/secrets/base.json')]
+         });
+
+         assert.strictEqual(resolved.db.password, 'file-secret');
+         assert.deepEqual(resolver.getResolverData().sensitiveKeys, ['db.host']);
+      });
+
+      it('masks sensitive values in errors', () =>
+      {
+         let err = resolveError({ 'extends': './test/fixture/secrets/broken.json',
+          'token': { $env: 'CONFIG_RESOLVER_TEST_KEY' } });
+
+         assert.strictEqual(err.code, 'PARSE_ERROR');
+         assert.notInclude(err.codeFrame, 'env-secret');
+         assert.include(err.codeFrame, '"token": "[REDACTED]"');
+
+         err = resolveError({ auth: { password: 'hunter2' } }, { sensitiveKeys: ['password'],
+          schema: { post: { properties: { auth: { properties: { password: { type: 'number' } } } } } } });
+
+         assert.strictEqual(err.code, 'VALIDATION_FAILED');
+         assert.strictEqual(err.violations[0].actual, '[REDACTED]');
+
+         err = resolveError({ auth: { password: 'hunter2' } }, { sensitiveKeys: ['password'],
+          postValidate: { 'auth.password': { test: 'entry', type: 'number' } }, validationMode: 'collect' });
+
+         assert.strictEqual(err.report[0].actual, '[REDACTED]');
+      });
+
+      it('masks sensitive values in log events', () =>
+      {
+         const logs = [];
+
+         const resolver = new ConfigResolver({ sensitiveKeys: ['dir'] });
+
+         resolver.onPluginLoad({ eventbus: { on: () => {}, trigger: (event, message) =>
+         {
+            if (event === 'log:info') { logs.push(message); }
+         } }, pluginOptions: {} });
+
+         resolver.resolve({ 'dir': 'fixture/secrets', 'extends': './test/fixture/secrets/base.json' });
+
+         assert.deepEqual(logs, [`resolving config extends: ${path.resolve('./test/[REDACTED]/base.json')}`]);
+      });
+
+      it('masks the sensitive values of a resolution only', () =>
+      {
+         const logs = [];
+
+         const resolver = new ConfigResolver({ profileKey: 'profiles' });
+
+         resolver.onPluginLoad({ eventbus: { on: () => {}, trigger: (event, message) =>
+         {
+            if (event === 'log:info') { logs.push(message); }
+         } }, pluginOptions: {} });
+
+         process.env.CONFIG_RESOLVER_TEST_KEY = 'fixture';
+
+         const resolved = resolver.resolve({ dir: { $env: 'CONFIG_RESOLVER_TEST_KEY' },
+          profiles: { production: { apiKey: { $env: 'CONFIG_RESOLVER_TEST_TOKEN' } } } }, { profile: 'production' });
+
+         assert.deepEqual(resolver.toRedactedJSON(resolved), { dir: '[REDACTED]', apiKey: '[REDACTED]' });
+
+         resolver.resolve({ 'extends': './test/fixture/secrets/base.json' });
+
+         assert.deepEqual(logs, [`resolving config extends: ${path.resolve('./test/fixture/secrets/base.json')}`]);
+
+         const other = resolver.resolve({ name: 'fixture' });
+
+         assert.deepEqual(resolver.toRedactedJSON(other), { name: 'fixture' });
+      });
+   });
+
+   describe('remote', () =>
+   {
+      const fixtureDir = path.resolve('./test/fixture/remote');
+
+      const requests = [];
+
+      let baseURL, cacheDir, server;
+
+      const integrity = (algorithm) => `${algorithm}-${crypto.createHash(algorithm).update(
+       fs.readFileSync(path.join(fixtureDir, 'app.json'), 'utf8')).digest('base64')}`;
+
+      const resolverData = (remote = {}) => ({ remote: Object.assign({ allowHttp: true, cacheDir }, remote) });
+
+      before((done) =>
+      {
+         server = http.createServer((request, response) =>
+         {
+            requests.push(request.url);
+
+            fs.readFile(path.join(fixtureDir, request.url), (err, data) =>
+            {
+               response.statusCode = err ? 404 : 200;
+               response.end(err ? void 0 : data);
+            });
+         });
+
+         server.listen(0, '127.0.0.1', () =>
+         {
+            baseURL = `http://127.0.0.1:${server.address().port}`;
+            done();
+         });
+      });
+
+      after((done) => server.close(done));
+
+      beforeEach(() =>
+      {
+         requests.length = 0;
+         cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-resolver-remote-'));
+      });
+
+      afterEach(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+      it('resolveAsync fetches remote configs resolving relative extends against the URL', () =>
+      {
+         const resolver = new ConfigResolver(resolverData());
+
+         return resolver.resolveAsync({ 'extends': [{ url: `${baseURL}/app.json`, integrity: integrity('sha384') }],
+          'local': true }).then((config) =>
+         {
+            assert.deepEqual(config, {
+               'extends': [`${baseURL}/app.json`, `${baseURL}/shared/common.yaml`],
+               'server': { host: 'config.example.com', port: 8080 },
+               'tags': ['common'],
+               'local': true
+            });
+
+            assert.sameMembers(requests, ['/app.json', '/shared/common.yaml']);
+
+            // Synchronous resolution loads the cached configs.
+            assert.deepEqual(resolver.resolve({ 'extends': `${baseURL}/app.json` }).server,
+             { host: 'config.example.com', port: 8080 });
+
+            assert.strictEqual(requests.length, 2);
+         });
+      });
+
+      it('verifies integrity', () =>
+      {
+         const resolver = new ConfigResolver(resolverData());
+
+         const entry = { url: `${baseURL}/app.json`, integrity: `sha256-invalid ${integrity('sha512')}` };
+
+         return resolver.resolveAsync({ 'extends': [entry] }).then((config) =>
+         {
+            assert.strictEqual(config.server.port, 8080);
+
+            entry.integrity = integrity('sha256').replace('sha256-', 'sha256-A');
+
+            return resolver.resolveAsync({ 'extends': [entry] });
+         }).then(() =>
+         {
+            throw new Error('No error thrown.');
+         }, (err) =>
+         {
+            assert.instanceOf(err, ConfigResolverError);
+            assert.strictEqual(err.code, 'INTEGRITY_MISMATCH');
+            assert.strictEqual(err.filePath, `${baseURL}/app.json`);
+            assert.include(err.message, `does not match its 'integrity'; ${integrity('sha256')}.`);
+
+            // The cached copy is also verified.
+            err = resolveError({ 'extends': [entry] }, resolverData());
+
+            assert.strictEqual(err.code, 'INTEGRITY_MISMATCH');
+         });
+      });
+
+      it('offline mode and synchronous resolution only use the cache', () =>
+      {
+         const config = { 'extends': `${baseURL}/app.json` };
+
+         let err = resolveError(config, resolverData());
+
+         assert.strictEqual(err.code, 'NOT_FOUND');
+         assert.include(err.message,
+          `Remote config '${baseURL}/app.json' is not cached; remote configs are fetched by 'resolveAsync'.`);
+
+         return new ConfigResolver(resolverData({ offline: true })).resolveAsync(config).then(() =>
+         {
+            throw new Error('No error thrown.');
+         }, (offlineErr) =>
+         {
+            assert.strictEqual(offlineErr.code, 'NOT_FOUND');
+            assert.include(offlineErr.message, `'remote.offline' is set`);
+            assert.strictEqual(requests.length, 0);
+
+            return new ConfigResolver(resolverData()).resolveAsync(config);
+         }).then(() => new ConfigResolver(resolverData({ offline: true })).resolveAsync(config)).then((resolved) =>
+         {
+            assert.strictEqual(resolved.server.host, 'config.example.com');
+            assert.strictEqual(requests.length, 2);
+
+            err = resolveError({ 'extends': `${baseURL}/app.json` }, { remote: { cacheDir } });
+
+            assert.strictEqual(err.code, 'LOAD_ERROR');
+            assert.include(err.message, `is not 'https'; set 'remote.allowHttp' to load 'http' URLs.`);
+         });
+      });
+
+      it('missing remote config', () =>
+      {
+         return new ConfigResolver(resolverData()).resolveAsync({ 'extends': `${baseURL}/missing.json` }).then(() =>
+         {
+            throw new Error('No error thrown.');
+         }, (err) =>
+         {
+            assert.strictEqual(err.code, 'NOT_FOUND');
+            assert.include(err.message, `Failed to fetch remote config '${baseURL}/missing.json': HTTP 404.`);
+         });
+      });
+
+      it('rejects local extends entries and $file secrets of remote configs', () =>
+      {
+         const resolver = new ConfigResolver(resolverData());
+
+         const untrusted = (name) => resolver.resolveAsync({ 'extends': `${baseURL}/${name}` }).then(() =>
+         {
+            throw new Error('No error thrown.');
+         }, (err) =>
+         {
+            assert.instanceOf(err, ConfigResolverError);
+            assert.strictEqual(err.code, 'UNTRUSTED');
+
+            return err;
+         });
+
+         return untrusted('absolute.json').then((err) =>
+         {
+            assert.include(err.message, `Untrusted config '/etc/config-resolver/config.js' referenced from '${
+             baseURL}/absolute.json': remote configs may only extend URLs and paths relative to their URL.`);
+
+            // The cached remote config is also rejected by synchronous resolution.
+            assert.strictEqual(resolveError({ 'extends': `${baseURL}/absolute.json` }, resolverData()).code,
+             'UNTRUSTED');
+
+            return untrusted('module.json');
+         }).then((err) =>
+         {
+            assert.include(err.message,
+             `Untrusted config 'config-resolver-shared' referenced from '${baseURL}/module.json'`);
+
+            return untrusted('secret-file.json');
+         }).then((err) =>
+         {
+            assert.include(err.message, `Secret file '../../../package.json' for 'password' in '${
+             baseURL}/secret-file.json' is not allowed.`);
+         });
+      });
+   });
+
+   describe('migrations', () =>
+   {
+      const fixtureDir = path.resolve('./test/fixture/migrations');
+
+      const migrations = () => ({
+         currentVersion: 3,
+         steps: [
+            {
+               version: 2,
+               migrate: (config) =>
+               {
+                  const [host, port] = config.server.split(':');
+
+                  config.server = { host, port: Number(port) };
+               },
+               deprecation: `'server' is an object of 'host' and 'port'`
+            },
+            {
+               version: 3,
+               migrate: (config) =>
+               {
+                  if (config.hasOwnProperty('debug'))
+                  {
+                     config.logLevel = config.debug ? 'debug' : 'info';
+
+                     delete config.debug;
+                  }
+               },
+               deprecation: `'debug' is replaced by 'logLevel'`
+            }
+         ]
+      });
+
+      const preValidate = { server: { test: 'entry', type: 'object', required: false } };
+
+      afterEach(() =>
+      {
+         delete process.env.CONFIG_RESOLVER_TEST_HOST;
+         delete process.env.CONFIG_RESOLVER_TEST_KEY;
+      });
+
+      it('upgrades each config in the extends chain before validation and logs deprecations', () =>
+      {
+         const logs = [];
+
+         assert.throws(() => new ConfigResolver({ preValidate }).resolveFile('./test/fixture/migrations/config.json'),
+          ConfigResolverError);
+
+         const resolver = new ConfigResolver({ migrations: migrations(), preValidate });
+
+         resolver.onPluginLoad({ eventbus: { on: () => {}, trigger: (event, message) =>
+         {
+            if (event === 'log:info') { logs.push(message); }
+         } }, pluginOptions: {} });
+
+         const config = resolver.resolveFile('./test/fixture/migrations/config.json');
+
+         assert.deepEqual(config.server, { host: 'localhost', port: 9090 });
+         assert.strictEqual(config.logLevel, 'debug');
+         assert.isFalse(config.hasOwnProperty('version'));
+         assert.isFalse(config.hasOwnProperty('debug'));
+
+         assert.include(logs, `migrated config '${path.join(fixtureDir, 'base.json')}' from deprecated version 1 ${
+          `to 3: 'server' is an object of 'host' and 'port'; 'debug' is replaced by 'logLevel'`}`);
+         assert.include(logs, `migrated config '${path.join(fixtureDir, 'config.json')}' from deprecated version 2 ${
+          `to 3: 'debug' is replaced by 'logLevel'`}`);
+      });
+
+      it('migrate returns the upgraded config file', () =>
+      {
+         const resolver = new ConfigResolver({ migrations: migrations() });
+
+         assert.deepEqual(resolver.migrate('./base.json', { cwd: fixtureDir }),
+          { version: 3, server: { host: 'localhost', port: 8080 }, logLevel: 'debug' });
+
+         assert.strictEqual(JSON.parse(fs.readFileSync(path.join(fixtureDir, 'base.json'), 'utf8')).version, 1);
+
+         assert.throws(() => new ConfigResolver().migrate('./base.json', { cwd: fixtureDir }), Error,
+          `'migrations' is not set in 'ConfigResolverData'.`);
+      });
+
+      it('upgrades an older parent config before merging it', () =>
+      {
+         const resolver = new ConfigResolver({ migrations: migrations() });
+
+         const config = () => ({ 'extends': './base.json', 'version': 3, 'server': { port: 9090 } });
+
+         const expected = { server: { host: 'localhost', port: 9090 }, logLevel: 'debug' };
+
+         const resolved = resolver.resolve(config(), { cwd: fixtureDir });
+
+         delete resolved.extends;
+
+         assert.deepEqual(resolved, Object.assign({ version: 3 }, expected));
+
+         return resolver.resolveAsync(config(), { cwd: fixtureDir }).then((asyncResolved) =>
+         {
+            delete asyncResolved.extends;
+
+            assert.deepEqual(asyncResolved, Object.assign({ version: 3 }, expected));
+         });
+      });
+
+      it('upgrade loaded configs before expanding placeholders and secrets', () =>
+      {
+         const seen = [];
+
+         const resolver = new ConfigResolver({ migrations: { currentVersion: 2, steps: [(config) =>
+         {
+            seen.push(JSON.parse(JSON.stringify(config)));
+
+            config.db = { host: config.host, password: config.password };
+
+            delete config.host;
+            delete config.password;
+         }] } });
+
+         const config = { version: 1, host: '${env:CONFIG_RESOLVER_TEST_HOST}',
+          password: { $env: 'CONFIG_RESOLVER_TEST_KEY' } };
+
+         process.env.CONFIG_RESOLVER_TEST_HOST = 'db.example.com';
+         process.env.CONFIG_RESOLVER_TEST_KEY = 'env-secret';
+
+         assert.deepEqual(resolver.resolve(config), { db: { host: 'db.example.com', password: 'env-secret' } });
+         assert.deepEqual(seen, [config]);
+      });
+
+      it('function steps and configs without a version', () =>
+      {
+         const config = new ConfigResolver({ migrations: {
+            versionKey: 'schemaVersion',
+            currentVersion: 5,
+            defaultVersion: 3,
+            steps: [(config) => { config.four = true; }, (config) => Object.assign({ five: true }, config)]
+         } }).resolve({ value: 1 });
+
+         assert.deepEqual(config, { value: 1, four: true, five: true });
+
+         const resolved = new ConfigResolver({ migrations: { currentVersion: 2,
+          steps: [() => { throw new Error(); }] } }).resolve({ value: 1 });
+
+         assert.deepEqual(resolved, { value: 1 });
+      });
+
+      it('throws MIGRATION_FAILED', () =>
+      {
+         const resolveError = (config, migrationData = migrations()) =>
+         {
+            try
+            {
+               new ConfigResolver({ migrations: migrationData }).resolve(config, { cwd: fixtureDir });
+            }
+            catch (err) { return err; }
+
+            throw new Error('No error thrown.');
+         };
+
+         let err = resolveError({ 'extends': './config.json', 'version': 4 });
+
+         assert.strictEqual(err.code, 'MIGRATION_FAILED');
+         assert.include(err.message, `'config' has version 4 which is newer than the current version 3.`);
+
+         err = resolveError({ 'extends': './config.json' }, { currentVersion: 3,
+          steps: [{ version: 3, migrate: () => { throw new Error('unsupported'); } }] });
+
+         assert.strictEqual(err.code, 'MIGRATION_FAILED');
+         assert.strictEqual(err.filePath, path.join(fixtureDir, 'config.json'));
+         assert.include(err.message, `Migrating '${path.join(fixtureDir, 'config.json')}' from version 2 to 3 failed: ${
+          'unsupported'}`);
+
+         assert.throws(() => new ConfigResolver({ migrations: { currentVersion: 2,
+          steps: [{ version: 2, migrate: () => {} }, { version: 1, migrate: () => {} }] } }), TypeError,
+           `'migrations.steps[1].version' is not ascending up to 'currentVersion'.`);
+
+         assert.throws(() => new ConfigResolver({ migrations: {} }), TypeError,
+          `'migrations.currentVersion' is not an 'integer'.`);
+      });
+   });
+
+   describe('lifecycle hooks', () =>
+   {
+      const graphDir = path.resolve('./test/fixture/graph');
+
+      const hookedResolver = (hooks, events = []) =>
+      {
+         const resolver = new ConfigResolver();
+
+         resolver.onPluginLoad({ eventbus: { on: () => {}, trigger: (event, data) =>
+         {
+            if (event === 'log:info') { return; }
+
+            events.push(`${event.replace('config:resolver:', '')} ${path.basename(data.filePath || '')} [${
+             (data.parentChain || []).map((loadPath) => path.basename(loadPath)).join(', ')}] ${data.configName}`);
+
+            if (hooks[event]) { hooks[event](data); }
+         } }, pluginOptions: {} });
+
+         return resolver;
+      };
+
+      const hooks = {
+         'config:resolver:load:pre': (data) =>
+         {
+            data.filePath = data.filePath.replace('alias.json', 'right.json');
+         },
+         'config:resolver:load:post': (data) =>
+         {
+            if (path.basename(data.filePath) === 'base.json')
+            {
+               data.config = Object.assign({}, data.config, { normalized: true });
+            }
+         },
+         'config:resolver:resolved': (data) =>
+         {
+            data.config = Object.assign({ loaded: data.loadedConfigs.map((loadPath) => path.basename(loadPath)) },
+             data.config);
+         }
+      };
+
+      it('rewrite paths, transform loaded configs and receive the file path, parent chain and config name', () =>
+      {
+         const events = [];
+
+         const config = hookedResolver(hooks, events).resolve({ 'extends': ['./left.json', './alias.json'] }, 'root',
+          { cwd: graphDir });
+
+         assert.strictEqual(config.value, 'right');
+         assert.strictEqual(config.shared, 'left');
+         assert.isTrue(config.normalized);
+         assert.deepEqual(config.loaded, ['right.json', 'left.json', 'base.json']);
+         assert.deepEqual(config.extends, [path.join(graphDir, 'right.json'), path.join(graphDir, 'left.json'),
+          path.join(graphDir, 'base.json')]);
+
+         assert.deepEqual(events, [
+            'load:pre left.json [] root',
+            'load:post left.json [] root',
+            'load:pre base.json [left.json] root',
+            'load:post base.json [left.json] root',
+            'load:pre alias.json [] root',
+            'load:post right.json [] root',
+            'merge right.json [] root',
+            'merge base.json [left.json] root',
+            'merge left.json [] root',
+            'resolved  [] root'
+         ]);
+      });
+
+      it('resolveAsync triggers the same hooks', () =>
+      {
+         const events = [];
+
+         return hookedResolver(hooks, events).resolveAsync({ 'extends': ['./left.json', './alias.json'] }, 'root',
+          { cwd: graphDir }).then((config) =>
+         {
+            assert.strictEqual(config.value, 'right');
+            assert.isTrue(config.normalized);
+            assert.deepEqual(config.loaded, ['right.json', 'left.json', 'base.json']);
+
+            assert.sameMembers(events.filter((event) => event.indexOf('load:') === 0), [
+               'load:pre left.json [] root',
+               'load:post left.json [] root',
+               'load:pre base.json [left.json] root',
+               'load:post base.json [left.json] root',
+               'load:pre alias.json [] root',
+               'load:post right.json [] root'
+            ]);
+         });
+      });
+
+      it('merge hooks may replace the merged config', () =>
+      {
+         const config = hookedResolver({
+            'config:resolver:merge': (data) =>
+            {
+               data.config = Object.assign({}, data.config, { merged: (data.config.merged || 0) + 1 });
+            }
+         }).resolve({ 'extends': './left.json' }, { cwd: graphDir });
+
+         assert.strictEqual(config.merged, 2);
+         assert.strictEqual(config.value, 'left');
+      });
+
+      it('throws when a hook sets an invalid value', () =>
+      {
+         const resolver = hookedResolver({ 'config:resolver:load:pre': (data) => { data.filePath = 42; } });
+
+         assert.throws(() => resolver.resolve({ 'extends': './left.json' }, { cwd: graphDir }), TypeError,
+          `'filePath' set by 'config:resolver:load:pre' is not a 'string'.`);
+
+         let err;
+
+         try
+         {
+            hookedResolver({ 'config:resolver:load:post': (data) => { data.config = null; } }).resolve(
+             { 'extends': './left.json' }, { cwd: graphDir });
+         }
+         catch (hookErr) { err = hookErr; }
+
+         assert.instanceOf(err, ConfigResolverError);
+         assert.strictEqual(err.code, 'LOAD_ERROR');
+         assert.strictEqual(err.filePath, path.join(graphDir, 'left.json'));
+         assert.include(err.message, `'config' set by 'config:resolver:load:post' is not an 'object'.`);
+      });
+   });
+
+   describe('merge directives', () =>
+   {
+      const fixtureDir = path.resolve('./test/fixture/directives');
+
+      it('unset keys, replace, remove and prepend inherited values', () =>
+      {
+         const config = new ConfigResolver().resolveFile('./test/fixture/directives/config.json');
+
+         assert.isFalse(config.hasOwnProperty('debug'));
+         assert.deepEqual(config.ignore, ['coverage', 'dist', 'node_modules']);
+         assert.deepEqual(config.plugins, [{ name: 'base-plugin' }]);
+         assert.deepEqual(config.server, { host: 'localhost', hosts: ['c'], port: 8080 });
+         assert.deepEqual(config.tags, ['config', 'base']);
+         assert.notInclude(JSON.stringify(config), '$');
+      });
+
+      it('apply to all lower precedence elements of an extends array', () =>
+      {
+         const config = new ConfigResolver().resolve({
+            'extends': [path.join(fixtureDir, 'base.json'), path.join(fixtureDir, 'sibling.json')],
+            'ignore': { $remove: ['docs'] },
+            'tags': { $prepend: ['config'] }
+         });
+
+         assert.isFalse(config.hasOwnProperty('debug'));
+         assert.deepEqual(config.ignore, ['dist', 'node_modules']);
+         assert.deepEqual(config.server, { host: 'localhost', hosts: ['s'], port: 8080 });
+         assert.deepEqual(config.tags, ['config', 'sibling', 'base']);
+      });
+
+      it('keep the plugins order of an extends array without directives', () =>
+      {
+         const config = new ConfigResolver().resolve({
+            'extends': [path.join(fixtureDir, 'base.json'), path.join(fixtureDir, 'plugins.json')],
+            'plugins': [{ name: 'first' }, { name: 'second' }]
+         });
+
+         assert.deepEqual(config.plugins.map((plugin) => plugin.name),
+          ['legacy-plugin', 'base-plugin', 'second', 'first', 'sibling-plugin']);
+      });
+
+      it('remove and prepend plugins of lower precedence elements of an extends array', () =>
+      {
+         const config = new ConfigResolver().resolve({
+            'extends': [path.join(fixtureDir, 'base.json'), path.join(fixtureDir, 'remove.json')],
+            'plugins': [{ name: 'first' }]
+         });
+
+         assert.deepEqual(config.plugins.map((plugin) => plugin.name), ['sibling-plugin', 'base-plugin', 'first']);
+      });
+
+      it('replace and prepend plugins in resolved order', () =>
+      {
+         const base = path.join(fixtureDir, 'base.json');
+
+         let config = new ConfigResolver().resolve({ 'extends': base,
+          'plugins': { $replace: [{ name: 'first' }, { name: 'second' }] } });
+
+         assert.deepEqual(config.plugins.map((plugin) => plugin.name), ['first', 'second']);
+
+         config = new ConfigResolver().resolve({ 'extends': base,
+          'plugins': { $remove: 'base-plugin', $prepend: [{ name: 'first' }, { name: 'second' }] } });
+
+         assert.deepEqual(config.plugins.map((plugin) => plugin.name), ['first', 'second', 'legacy-plugin']);
+
+         config = new ConfigResolver({ upgradeMergeList: ['tags'] }).resolve({ 'extends': base,
+          'tags': { $remove: ['base'] } });
+
+         assert.deepEqual(config.tags, []);
+      });
+
+      it('are stripped from configs without a target value and profile sections', () =>
+      {
+         const input = { a: '$unset', b: { $replace: { x: '$unset', y: 1 } }, c: { $prepend: 1 },
+          d: { $remove: ['x'] }, list: [{ e: '$unset' }] };
+
+         assert.deepEqual(new ConfigResolver().resolve(input), { b: { y: 1 }, c: [1], list: [{}] });
+         assert.strictEqual(input.a, '$unset');
+
+         const config = new ConfigResolver({ profileKey: 'profiles' }).resolve({
+          'extends': path.join(fixtureDir, 'base.json'),
+          'profiles': { production: { server: { port: '$unset', hosts: { $prepend: ['p'] } } } } },
+           { profile: 'production' });
+
+         assert.deepEqual(config.server, { host: 'localhost', hosts: ['p', 'a', 'b'] });
+      });
+
+      it('provenance and pre-validation see the directive values', () =>
+      {
+         const { provenance } = new ConfigResolver({ preValidate: { 'server.hosts': 'array' } })
+          .resolveProvenance({ 'extends': path.join(fixtureDir, 'config.json') });
+
+         assert.deepEqual(provenance.get('server.hosts[0]'), { value: 'c', source: path.join(fixtureDir, 'config.json'),
+          overrides: [path.join(fixtureDir, 'base.json')] });
+         assert.strictEqual(provenance.get('server.port').source, path.join(fixtureDir, 'base.json'));
+         assert.isFalse(provenance.has('debug'));
+      });
+
+      it('throws when $replace is combined with other directives', () =>
+      {
+         assert.throws(() => new ConfigResolver().resolve({ 'extends': path.join(fixtureDir, 'base.json'),
+          'tags': { $replace: [], $prepend: ['x'] } }), TypeError,
+           `'tags' combines '$replace' with other merge directives.`);
+
+         assert.throws(() => new ConfigResolver().resolve({ tags: { $remove: [1] } }), TypeError,
+          `'tags.$remove' is not a 'string' or an 'array' of strings.`);
+      });
+   });
+
+   describe('frozen', () =>
+   {
+      const middle = path.resolve('./test/fixture/loaders/middle.json5');
+
+      it('returns a deep-frozen ResolvedConfig', () =>
+      {
+         const config = new ConfigResolver().resolve({ 'extends': './test/fixture/loaders/config.toml',
+          'hosts': ['a', 'b'] }, { frozen: true });
+
+         assert.instanceOf(config, ResolvedConfig);
+         assert.strictEqual(config.get('server.port'), 9090);
+         assert.strictEqual(config.get('hosts[1]'), 'b');
+         assert.strictEqual(config.get('server.missing', 'fallback'), 'fallback');
+         assert.isTrue(config.has('server.host'));
+         assert.isFalse(config.has('server.missing'));
+
+         assert.isTrue(Object.isFrozen(config.toJSON()));
+         assert.throws(() => { config.toJSON().server.port = 1; }, TypeError);
+         assert.throws(() => { config.get('hosts').push('c'); }, TypeError);
+         assert.strictEqual(JSON.parse(JSON.stringify(config)).server.port, 9090);
+      });
+
+      it('getTyped throws TYPE_MISMATCH naming the key path and source', () =>
+      {
+         const config = new ConfigResolver().resolve({ 'extends': './test/fixture/loaders/config.toml' },
+          { frozen: true });
+
+         assert.strictEqual(config.getTyped('server.port', 'number'), 9090);
+         assert.strictEqual(config.getTyped('server', 'object'), config.get('server'));
+
+         try
+         {
+            config.getTyped('server.port', 'string');
+            throw new Error('No error thrown.');
+         }
+         catch (err)
+         {
+            assert.instanceOf(err, ConfigResolverError);
+            assert.strictEqual(err.code, 'TYPE_MISMATCH');
+            assert.strictEqual(err.filePath, middle);
+            assert.include(err.message, `'server.port' is not a 'string'; found 'number' from '${middle}'.`);
+         }
+
+         assert.throws(() => config.getTyped('server.missing', 'number'), ConfigResolverError,
+          `'server.missing' is not a 'number'; found 'undefined'.`);
+      });
+
+      it('withOverrides merges by the extends merge rules', () =>
+      {
+         const config = new ConfigResolver().resolve({ 'extends': './test/fixture/overrides/shared/base.json',
+          'level': 'info' }, { frozen: true });
+
+         const updated = config.withOverrides({ level: 'debug', globals: ['runtime'],
+          plugins: [{ name: 'runtime-plugin' }] });
+
+         assert.instanceOf(updated, ResolvedConfig);
+         assert.strictEqual(config.get('level'), 'info');
+         assert.strictEqual(updated.get('level'), 'debug');
+         assert.isTrue(updated.get('semi'));
+         assert.deepEqual(updated.get('plugins').map((plugin) => plugin.name), ['base-plugin', 'runtime-plugin']);
+         assert.isTrue(Object.isFrozen(updated.toJSON()));
+
+         assert.throws(() => config.withOverrides(null), TypeError, `'overrides' is not an 'object'.`);
+      });
+
+      it('resolveFile / resolveAsync and option validation', () =>
+      {
+         const config = new ConfigResolver().resolveFile('./test/fixture/graph/left.json', { frozen: true });
+
+         assert.strictEqual(config.get('value'), 'left');
+
+         assert.throws(() => new ConfigResolver().resolve({}, { frozen: 'yes' }), TypeError,
+          `'frozen' is not a 'boolean'.`);
+
+         return new ConfigResolver().resolveAsync({ 'extends': './test/fixture/graph/right.json' }, { frozen: true })
+          .then((resolved) =>
+         {
+            assert.instanceOf(resolved, ResolvedConfig);
+            assert.strictEqual(resolved.get('value'), 'right');
+         });
+      });
+   });
+
+   describe('watch', () =>
+   {
+      let tempDir, watcher;
+
+      beforeEach(() =>
+      {
+         tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-resolver-'));
+
+         fs.writeFileSync(path.join(tempDir, 'base.json'), '{ "port": 80 }');
+         fs.writeFileSync(path.join(tempDir, 'other.json'), '{ "other": true }');
+         fs.writeFileSync(path.join(tempDir, 'config.json'), '{ "extends": "./base.json", "name": "test" }');
+      });
+
+      afterEach(() =>
+      {
+         if (watcher) { watcher.close(); }
+
+         for (const file of fs.readdirSync(tempDir)) { fs.unlinkSync(path.join(tempDir, file)); }
+
+         fs.rmdirSync(tempDir);
+      });
+
+      it('reloads on change, follows extends changes and reports diff on eventbus', (done) =>
+      {
+         const changes = [];
+
+         let reloads = 0;
+
+         const onChanged = (config, changed) => changes.push(changed);
+
+         testEventbus.on('config:resolver:changed', onChanged);
+
+         watcher = testEventbus.triggerSync('config:resolver:watch', { 'extends': path.join(tempDir, 'config.json') },
+          'config', (err, config, changed) =>
+         {
+            assert.isNull(err);
+
+            if (++reloads === 1)
+            {
+               assert.strictEqual(config.port, 8080);
+               assert.deepEqual(changes, [['port']]);
+
+               // Change extends so the watched files are updated.
+               fs.writeFileSync(path.join(tempDir, 'config.json'), '{ "extends": "./other.json", "name": "test" }');
+            }
+            else
+            {
+               assert.deepEqual(changed, ['extends[1]', 'other', 'port']);
+               assert.sameMembers(watcher.files, [path.join(tempDir, 'config.json'), path.join(tempDir, 'other.json')]);
+
+               testEventbus.off('config:resolver:changed', onChanged);
+               done();
+            }
+         }, { debounce: 20 });
+
+         assert.strictEqual(watcher.config.port, 80);
+         assert.lengthOf(watcher.files, 2);
+
+         fs.writeFileSync(path.join(tempDir, 'base.json'), '{ "port": 8080 }');
+      });
+
+      it('reports errors without closing the watcher', (done) =>
+      {
+         let errors = 0;
+
+         watcher = new ConfigResolver().watch({ 'extends': path.join(tempDir, 'config.json') }, (err, config) =>
+         {
+            if (err)
+            {
+               errors++;
+               fs.writeFileSync(path.join(tempDir, 'base.json'), '{ "port": 9090 }');
+            }
+            else
+            {
+               assert.strictEqual(errors, 1);
+               assert.strictEqual(config.port, 9090);
+               done();
+            }
+         }, { debounce: 20 });
+
+         fs.writeFileSync(path.join(tempDir, 'base.json'), '{ "port": ');
+      });
+
+      it('reports errors thrown by the callback without closing the watcher', (done) =>
+      {
+         let reloads = 0;
+
+         const onError = (err, configName) =>
+         {
+            assert.strictEqual(err.message, 'callback failed');
+            assert.strictEqual(configName, 'config');
+
+            fs.writeFileSync(path.join(tempDir, 'base.json'), '{ "port": 9090 }');
+         };
+
+         testEventbus.on('config:resolver:watch:error', onError);
+
+         watcher = testEventbus.triggerSync('config:resolver:watch', { 'extends': path.join(tempDir, 'config.json') },
+          'config', (err, config) =>
+         {
+            assert.isNull(err);
+
+            if (++reloads === 1) { throw new Error('callback failed'); }
+
+            assert.strictEqual(config.port, 9090);
+
+            testEventbus.off('config:resolver:watch:error', onError);
+            done();
+         }, { debounce: 20 });
+
+         fs.writeFileSync(path.join(tempDir, 'base.json'), '{ "port": 8080 }');
+      });
+   });
+});
@@ -0,0 +1,131 @@
+import { assert }       from 'chai';
+import path             from 'path';
+
+import run              from '../../src/cli.js';
+
+const cwd = path.resolve('./test/fixture/cli');
+
+/**
+ * Runs the command line tool in the CLI fixture directory collecting the output.
+ *
+ * @param {...string}   argv - The command line arguments.
+ *
+ * @returns {{code: number, stdout: string, stderr: string}} The exit code and output.
+ */
+function cli(...argv)
+{
+   const result = { stdout: '', stderr: '' };
+
+   result.code = run(argv, {
+      cwd,
+      stdout: { write: (data) => { result.stdout += data; } },
+      stderr: { write: (data) => { result.stderr += data; } }
+   });
+
+   return result;
+}
+
+/** @test {run} */
+describe('config-resolver', () =>
+{
+   it('print: outputs the resolved config as JSON', () =>
+   {
+      const result = cli('print', './config.json', '--resolver-data', './resolver-data.json');
+
+      assert.strictEqual(result.code, 0);
+
+      const config = JSON.parse(result.stdout);
+
+      assert.strictEqual(config.name, 'app');
+      assert.deepEqual(config.server, { host: 'localhost', port: 8080, hosts: ['a.example.com', 'b.example.com'] });
+      assert.deepEqual(config.tags, ['base', 'config']);
+   });
+
+   it('print: outputs YAML and merges a profile', () =>
+   {
+      const result = cli('print', './config.json', '--format=yaml', '--profile', 'production');
+
+      assert.strictEqual(result.code, 0);
+      assert.include(result.stdout, 'port: 443\n');
+      assert.include(result.stdout, 'host: localhost\n');
+   });
+
+   it('chain: lists the extends load order', () =>
+   {
+      const result = cli('chain', './config.json');
+
+      assert.strictEqual(result.code, 0);
+      assert.deepEqual(result.stdout.trim().split('\n'), [path.join(cwd, 'base.json')]);
+   });
+
+   it('get: reads a single value', () =>
+   {
+      assert.deepEqual(cli('get', './config.json', 'server.hosts[1]'),
+       { code: 0, stdout: 'b.example.com\n', stderr: '' });
+
+      assert.deepEqual(cli('get', './config.json', 'server.port'), { code: 0, stdout: '8080\n', stderr: '' });
+
+      const result = cli('get', './config.json', 'server.missing');
+
+      assert.strictEqual(result.code, 1);
+      assert.strictEqual(result.stderr, `'server.missing' is not set.\n`);
+   });
+
+   it('validate: reports every failure and exits nonzero', () =>
+   {
+      const result = cli('validate', './config.json', '--resolver-data', './resolver-data.json', '--schema',
+       './schema.json');
+
+      assert.strictEqual(result.code, 1);
+      assert.include(result.stderr, '[post] name:');
+      assert.include(result.stderr, '[post] server.port:');
+   });
+
+   it('validate: runs pre and post-validation with a { pre, post } schema file', () =>
+   {
+      const result = cli('validate', './config.json', '--schema', './schema-pre-post.json');
+
+      assert.strictEqual(result.code, 1);
+      assert.include(result.stderr, '[pre] tags[0]:');
+      assert.include(result.stderr, '[post] server.port:');
+      assert.notInclude(result.stderr, '[pre] server.port:');
+   });
+
+   it('validate: succeeds for a valid config', () =>
+   {
+      const result = cli('validate', './config.json', '--resolver-data', './resolver-data.json');
+
+      assert.deepEqual(result, { code: 0, stdout: `'./config.json' is valid.\n`, stderr: '' });
+   });
+
+   it('loads a bare file name relative to the working directory', () =>
+   {
+      const result = cli('print', 'config.json');
+
+      assert.strictEqual(result.code, 0);
+      assert.deepEqual(JSON.parse(result.stdout).tags, ['config']);
+   });
+
+   it('missing config file exits nonzero', () =>
+   {
+      const result = cli('print', './missing.json');
+
+      assert.strictEqual(result.code, 1);
+      assert.include(result.stderr, 'missing.json');
+   });
+
+   it('invalid arguments show the usage', () =>
+   {
+      assert.strictEqual(cli('get', './config.json').code, 2);
+      assert.strictEqual(cli('print', './config.json', '--unknown').code, 2);
+      assert.strictEqual(cli('print', './config.json', '--format', 'xml').code, 2);
+
+      const result = cli('unknown');
+
+      assert.strictEqual(result.code, 2);
+      assert.include(result.stderr, `Unknown command 'unknown'.`);
+      assert.include(result.stderr, 'Usage: config-resolver');
+
+      assert.strictEqual(cli('--help').code, 0);
+   });
+});